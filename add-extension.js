@@ -13,6 +13,14 @@
 //   node add-extension.js ext.id https://github.com/my-org/repo
 // Optional extra arguments [see: extensions-schema.json]:
 //   node add-extension.js abusaidm.html-snippets2 https://github.com/my-org/repo --location 'packages/xy'
+// Array properties are given by repeating them, platforms to target by `--target`,
+// with the environment variables of their packaging in `--target-env <target>:<NAME>=<value>`:
+//   node add-extension.js ext.id https://github.com/my-org/repo --custom 'npm run build' --custom 'npm run package' \
+//     --target linux-x64 --target darwin-arm64 --target-env linux-x64:ARCH=x64
+// Or start from an entry written as JSON, either a file or the JSON itself:
+//   node add-extension.js ext.id --from-json entry.json
+// The repository is inspected for the `location`, `pythonVersion`, `custom` commands and `target` of the extension,
+// the arguments given are kept as they are. Pass `--no-detect` to add the entry as given.
 //
 
 // @ts-check
@@ -22,9 +30,15 @@ const util = require("util");
 const exec = require("./lib/exec");
 const extensionsSchema = require("./extensions-schema.json");
 const fetch = require("node-fetch");
-const { getPublicGalleryAPI } = require("@vscode/vsce/out/util");
+const { PublicGalleryAPI } = require("@vscode/vsce/out/publicgalleryapi");
+const { msGalleryUrl } = require("./lib/constants");
 const parseXmlManifest = require("@vscode/vsce/out/xml").parseXmlManifest;
 const { ExtensionQueryFlags, PublishedExtension } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
+const Ajv = require("ajv/dist/2020").default;
+const { detectConfiguration, proposeEntries, buildCandidates } = require("./lib/detectConfiguration");
+const { addWorktree, removeRepository } = require("./lib/repositories");
+const { getWorkspace, cleanWorkspace } = require("./lib/workspace");
+const { checkExtensionControl, describeVerdict } = require("./lib/extensionControl");
 
 const flags = [
     ExtensionQueryFlags.IncludeMetadata,
@@ -33,7 +47,7 @@ const flags = [
     ExtensionQueryFlags.IncludeLatestVersionOnly,
 ];
 
-const msGalleryApi = getPublicGalleryAPI();
+const msGalleryApi = new PublicGalleryAPI(msGalleryUrl, "3.0-preview.1");
 msGalleryApi.client["_allowRetries"] = true;
 msGalleryApi.client["_maxRetries"] = 5;
 
@@ -62,9 +76,72 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
     }
 };
 
+/**
+ * Reads the entry `--from-json` points to
+ * @param {string} json a JSON file, or the JSON itself
+ * @returns {Promise<{[key: string]: any}>}
+ */
+const readEntry = async (json) =>
+    JSON.parse(json.trim().startsWith("{") ? json : await fs.promises.readFile(json, { encoding: "utf8" }));
+
+/**
+ * Adds the platforms of `--target` and the environment variables of `--target-env` to the `target` of the entry
+ * @param {{[target: string]: true | {env: {[name: string]: string}}}} target
+ * @param {string[]} platforms
+ * @param {string[]} variables as `<target>:<NAME>=<value>`
+ */
+const addTargets = (target, platforms, variables) => {
+    for (const platform of platforms) {
+        target[platform] = target[platform] ?? true;
+    }
+    for (const variable of variables) {
+        const match = variable.match(/^([^:=]+):([^=]+)=(.*)$/);
+        if (!match) {
+            console.error(
+                `argument 'target-env' should look like '<target>:<NAME>=<value>' but yours is '${variable}'`,
+            );
+            process.exit(1);
+        }
+        const [, platform, name, value] = match;
+        const current = target[platform];
+        target[platform] = { env: { ...(typeof current === "object" ? current.env : {}), [name]: value } };
+    }
+};
+
+/**
+ * Clones the repository to propose entries from what building the extension needs
+ * @param {string} id
+ * @param {{[key: string]: any}} entry
+ * @returns {Promise<{[key: string]: any}[]>} the entries to try, `entry` itself if nothing could be detected
+ */
+const detectEntries = async (id, entry) => {
+    const checkout = getWorkspace(id).repository;
+    try {
+        console.info(`Inspecting ${entry.repository} for the build configuration...`);
+        await addWorktree(entry.repository, checkout);
+        const detected = await detectConfiguration(checkout, id);
+        if (!detected) {
+            console.warn(`No package.json of ${id} found in ${entry.repository}`);
+            return [entry];
+        }
+        console.info("Detected:", util.inspect(detected, { colors: true, compact: false }));
+        return proposeEntries(detected, entry);
+    } catch (error) {
+        console.warn(`Couldn't inspect ${entry.repository}: ${error}`);
+        return [entry];
+    } finally {
+        await removeRepository(entry.repository);
+        await cleanWorkspace(id);
+    }
+};
+
 (async () => {
     // Parse args
-    const argv = minimist(process.argv.slice(2)); // without executable & script path
+    const argv = minimist(process.argv.slice(2), {
+        string: ["target", "target-env", "from-json"],
+        boolean: ["detect"],
+        default: { detect: true },
+    }); // without executable & script path
 
     // Check positional args
     if (argv._.length === 0) {
@@ -93,7 +170,7 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
         }
     } catch {
     } finally {
-        if (argv._.length < 2 && !repoURL) {
+        if (argv._.length < 2 && !repoURL && !argv["from-json"]) {
             console.error(
                 "Need two positional arguments: ext-id, repo-url, since the provided argument is not a Marketplace URL",
             );
@@ -101,12 +178,30 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
         }
     }
 
-    const extDefinition = {
-        repository: repoURL,
-    };
+    /** @type {{[key: string]: any}} */
+    let extDefinition = {};
+    if (argv["from-json"]) {
+        try {
+            extDefinition = await readEntry(argv["from-json"]);
+        } catch (error) {
+            console.error(`Couldn't read the entry from '${argv["from-json"]}': ${error}`);
+            process.exit(1);
+        }
+    }
+    if (repoURL) {
+        extDefinition.repository = repoURL;
+    }
+
+    if (argv.target || argv["target-env"]) {
+        extDefinition.target = extDefinition.target ?? {};
+        addTargets(extDefinition.target, [].concat(argv.target ?? []), [].concat(argv["target-env"] ?? []));
+    }
 
     // Validate extra args
-    delete argv._; // delete positional arguments
+    const detect = argv.detect;
+    for (const arg of ["_", "from-json", "target", "target-env", "detect"]) {
+        delete argv[arg]; // positional arguments and the ones handled above
+    }
     for (const arg of Object.keys(argv)) {
         const propDef = extensionsSchema.additionalProperties.properties[arg];
         // console.debug(`arg=${arg}:`, argv[arg], propDef)
@@ -116,6 +211,10 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
         }
 
         // parse & validate value
+        if (propDef.type !== "array" && Array.isArray(argv[arg])) {
+            console.error(`argument '${arg}' should be given once, only arrays can be repeated`);
+            process.exit(1);
+        }
         if (propDef.type === "string") {
             extDefinition[arg] = String(argv[arg]); // minimist might've assumed a different type (e.g. number)
         } else if (propDef.type === "number") {
@@ -126,6 +225,15 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
                 process.exit(1);
             }
             extDefinition[arg] = argv[arg]; // numbers are parsed by minimist already
+        } else if (propDef.type === "boolean") {
+            if (![true, false, "true", "false"].includes(argv[arg])) {
+                console.error(`argument '${arg}' should be 'true' or 'false' but yours is '${argv[arg]}'`);
+                process.exit(1);
+            }
+            extDefinition[arg] = argv[arg] === true || argv[arg] === "true";
+        } else if (propDef.type === "array") {
+            // every occurrence of the argument is an item
+            extDefinition[arg] = [].concat(argv[arg]).map(String);
         } else {
             console.error(
                 `argument '${arg}' is of type '${propDef.type}' which is not implemented by this script, sorry`,
@@ -133,7 +241,30 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
             process.exit(1);
         }
     }
-    console.info("Adding extension:", util.inspect(extDefinition, { colors: true, compact: false }));
+    const ajv = new Ajv();
+    const validate = ajv.compile(extensionsSchema);
+    if (!validate({ [extID]: extDefinition })) {
+        console.error(`The entry is invalid: ${ajv.errorsText(validate.errors, { dataVar: "extensions.json" })}`);
+        process.exit(1);
+    }
+
+    const verdict = checkExtensionControl([extID, extDefinition.msMarketplaceIdOverride ?? extID]);
+    if (verdict?.blocked) {
+        console.error(`${extID} ${describeVerdict(verdict)}, so it cannot be added`);
+        process.exit(1);
+    }
+    if (verdict) {
+        console.warn(`[WARN] ${extID} ${describeVerdict(verdict)}`);
+    }
+
+    // The entries to try building with, one after the other
+    const candidates = (detect ? await detectEntries(extID, extDefinition) : []).filter((candidate) =>
+        validate({ [extID]: candidate }),
+    );
+    if (candidates.length === 0) {
+        candidates.push(extDefinition);
+    }
+    console.info("Adding extension:", util.inspect(candidates[0], { colors: true, compact: false }));
 
     // Read current file
     const extensions = Object.entries(
@@ -144,7 +275,8 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
 
     const originalList = JSON.stringify(Object.fromEntries(extensions), undefined, 2);
 
-    // Find position & insert extension
+    // Find position & insert extension, at the end if it sorts after all of them
+    let position = extensions.length;
     for (let i = 0; i < extensions.length; i++) {
         const [currentID] = extensions[i];
         // console.debug(i, currentID)
@@ -153,18 +285,22 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
             console.error("Extension already defined:", currentID);
             process.exit(1);
         }
-        if (diff > 0) {
-            extensions.splice(i, 0, [extID, extDefinition]);
-            break;
+        if (diff > 0 && position === extensions.length) {
+            position = i;
         }
     }
+    extensions.splice(position, 0, [extID, candidates[0]]);
 
     // Persist changes
-    await fs.promises.writeFile(
-        "./extensions.json",
-        JSON.stringify(Object.fromEntries(extensions), undefined, 2) + "\n", // add newline at EOF
-        { encoding: "utf8" },
-    );
+    const writeEntry = async (/** @type {{[key: string]: any}} */ definition) => {
+        extensions[position] = [extID, definition];
+        await fs.promises.writeFile(
+            "./extensions.json",
+            JSON.stringify(Object.fromEntries(extensions), undefined, 2) + "\n", // add newline at EOF
+            { encoding: "utf8" },
+        );
+    };
+    await writeEntry(candidates[0]);
 
     console.info(`Successfully added ${extID}`);
     if (process.env.TEST_EXTENSION === "false") {
@@ -178,18 +314,21 @@ const getRepositoryFromMarketplace = async (/** @type {string} */ id) => {
     process.env.FORCE = "true";
     process.env.SKIP_PUBLISH = "true";
 
-    const out = await exec("node publish-extensions", { quiet: true, ghtoken: true });
-    if (out && out.stderr.includes("[FAIL] Could not process extension:")) {
-        console.error(
-            `There was an error while trying to build ${extID}. Reverting back to the previous state of extensions.json.`,
-        );
-        await fs.promises.writeFile(
-            "./extensions.json",
-            originalList + "\n", // add newline at EOF
-            { encoding: "utf8" },
-        );
-    } else {
+    const built = await buildCandidates(candidates, writeEntry, () =>
+        exec("node local-workflow.js", { quiet: true, ghtoken: true }),
+    );
+    if (built) {
         console.info("Built extension successfully");
         console.info(`Feel free to use the message below for your commit:\r\nAdded \`${extID}\``);
+        return;
     }
+
+    console.error(
+        `There was an error while trying to build ${extID} with ${candidates.length > 1 ? `all of the ${candidates.length} configurations` : "this configuration"}. Reverting back to the previous state of extensions.json.`,
+    );
+    await fs.promises.writeFile(
+        "./extensions.json",
+        originalList + "\n", // add newline at EOF
+        { encoding: "utf8" },
+    );
 })();
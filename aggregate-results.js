@@ -0,0 +1,46 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Merges the results of the builds and publishes dispatched to publish-extension.yml into /tmp/stat.json,
+// the stat of the run which dispatched them, so that report-extensions.ts covers them.
+// Usage, with the result artifacts of the dispatched runs downloaded to /tmp/results:
+//   node aggregate-results.js
+// Or from another directory:
+//   node aggregate-results.js ./results
+// With `--history`, the merged stat is appended to the history of the run stats, unless EXTENSIONS is set:
+//   node aggregate-results.js --history
+//
+
+// @ts-check
+const fs = require("fs");
+const minimist = require("minimist");
+const { resultsDirectory, readResults, aggregateResults } = require("./lib/results");
+const { appendToHistory } = require("./lib/history");
+
+(async () => {
+    const argv = minimist(process.argv.slice(2), { boolean: ["history"] });
+    const directory = argv._[0] ? String(argv._[0]) : resultsDirectory;
+
+    /** @type {import('./types').PublishStat} */
+    const stat = JSON.parse(await fs.promises.readFile("/tmp/stat.json", "utf-8"));
+    const results = await readResults(directory);
+    const merged = aggregateResults(stat, results);
+    await fs.promises.writeFile("/tmp/stat.json", JSON.stringify(merged), { encoding: "utf8" });
+    // Runs of some of the extensions only would distort the trends
+    if (argv.history && !process.env.EXTENSIONS) {
+        await appendToHistory(merged);
+    }
+
+    const failed = merged.failed.length + merged.timedOut.length;
+    console.log(
+        `Merged ${results.length} results from ${directory} into /tmp/stat.json: ${Object.keys(merged.upToDate).length} extensions up-to-date, ${failed} failed`,
+    );
+})();
@@ -0,0 +1,91 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Finds the entries of extensions.json whose repository is gone, moved or archived, which are not on the MS marketplace
+// anymore, or whose `location` or `extensionFile` are not in the repository anymore. Writes them to /tmp/audit.json and /tmp/audit.md.
+// Usage:
+//   EXTENSIONS=rebornix.ruby node audit-extensions.js
+// Apply the fixes which need no review to extensions.json as well, like the new URL of a moved repository:
+//   node audit-extensions.js --write
+//
+
+// @ts-check
+const fs = require("fs");
+const minimist = require("minimist");
+const { PublicGalleryAPI } = require("@vscode/vsce/out/publicgalleryapi");
+const { msGalleryUrl } = require("./lib/constants");
+const { queryLatestVersions } = require("./lib/dependencies");
+const { auditExtension, applyFixes, formatAudit } = require("./lib/audit");
+
+(async () => {
+    const argv = minimist(process.argv.slice(2), { boolean: ["write"] });
+
+    /** @type {Readonly<import('./types').Extensions>} */
+    const extensions = JSON.parse(await fs.promises.readFile("./extensions.json", "utf-8"));
+    const toVerify = process.env.EXTENSIONS?.split(",").map((id) => id.trim());
+    const ids = Object.keys(extensions).filter((id) => id !== "$schema" && (!toVerify || toVerify.includes(id)));
+
+    const msGalleryApi = new PublicGalleryAPI(msGalleryUrl, "3.0-preview.1");
+    msGalleryApi.client["_allowRetries"] = true;
+    msGalleryApi.client["_maxRetries"] = 5;
+    /** @type {Set<string> | undefined} */
+    let onMarketplace;
+    try {
+        const msExtensions = await queryLatestVersions(
+            msGalleryApi,
+            ids.map((id) => extensions[id].msMarketplaceIdOverride ?? id),
+        );
+        onMarketplace = new Set(msExtensions.keys());
+    } catch (error) {
+        console.warn(`[WARN] Could not look up the extensions on the MS marketplace, skipping that check: ${error}`);
+    }
+
+    let concurrency = Number(process.env.CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        concurrency = 1;
+    }
+    /** @type {import('./types').AuditFinding[]} */
+    const findings = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < ids.length) {
+            const id = ids[next++];
+            const extension = extensions[id];
+            try {
+                findings.push(
+                    ...(await auditExtension(id, extension, {
+                        onMarketplace:
+                            !onMarketplace ||
+                            onMarketplace.has((extension.msMarketplaceIdOverride ?? id).toLowerCase()),
+                    })),
+                );
+            } catch (error) {
+                console.warn(`[WARN] ${id}: could not be audited: ${error}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+    findings.sort((a, b) => a.id.localeCompare(b.id));
+
+    const report = formatAudit(findings);
+    await fs.promises.writeFile("/tmp/audit.json", JSON.stringify(findings, undefined, 2), { encoding: "utf8" });
+    await fs.promises.writeFile("/tmp/audit.md", report, { encoding: "utf8" });
+    console.log(report);
+
+    if (argv.write) {
+        await fs.promises.writeFile(
+            "./extensions.json",
+            JSON.stringify(applyFixes(extensions, findings), undefined, 2) + "\n", // add newline at EOF
+            { encoding: "utf8" },
+        );
+        console.log(`Applied ${findings.filter((finding) => !!finding.fix).length} fixes to extensions.json`);
+    }
+})();
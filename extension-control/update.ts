@@ -4,6 +4,8 @@
 import { diff } from "jest-diff";
 import path from "path";
 
+import { registryUrl } from "../lib/constants";
+
 // https://github.com/microsoft/vscode/blob/a2acd131e47500cf4bd7d602626f0b54ab266904/src/vs/platform/extensionManagement/common/extensionManagement.ts#L314
 interface ISearchPrefferedResults {
     readonly query?: string;
@@ -38,7 +40,7 @@ interface IRawExtensionsControlManifest {
 }
 
 const existsOnOpenVSX = async (id: string) => {
-    const response = await fetch(`https://open-vsx.org/api/${id.replace(/\./g, "/")}`);
+    const response = await fetch(`${registryUrl}/api/${id.replace(/\./g, "/")}`);
     if (response.ok) {
         console.log(`Extension ${id} exists on OpenVSX.`);
         return true;
@@ -0,0 +1,216 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const exec = require("./exec");
+const { getForgeProvider } = require("./forges");
+const { findPackageDirectory } = require("./detectConfiguration");
+const { getRepositoryKey, addWorktree, removeRepository } = require("./repositories");
+const { getWorkspace, cleanWorkspace } = require("./workspace");
+
+/**
+ * Section titles of the report, in their order
+ * @type {{[kind in import('../types').AuditFindingKind]: string}}
+ */
+const titles = {
+    repositoryMissing: "Repository not found",
+    repositoryMoved: "Repository moved",
+    repositoryArchived: "Repository archived",
+    notOnMarketplace: "Not on the MS marketplace",
+    locationMissing: "`location` not found at HEAD",
+    extensionFileMissing: "`extensionFile` not found at HEAD",
+};
+
+/**
+ * Looks the repository up on its forge. Without a provider for the forge, only whether it still exists is checked.
+ * @param {string} repository
+ * @param {string | undefined} forge
+ * @param {typeof getForgeProvider} getProvider
+ * @returns {Promise<import('../types').ForgeRepository | undefined>} `undefined` if it does not exist, or is not public
+ */
+async function findRepository(repository, forge, getProvider) {
+    /** @type {URL} */
+    let repositoryUrl;
+    try {
+        repositoryUrl = new URL(repository);
+    } catch {
+        return undefined;
+    }
+    const provider = getProvider(repositoryUrl, forge);
+    if (provider) {
+        return await provider.getRepository(repositoryUrl);
+    }
+    try {
+        // Forges ask for credentials instead of answering that a repository does not exist
+        await exec(`git ls-remote ${repository} HEAD`, { quiet: true, env: { GIT_TERMINAL_PROMPT: "0" } });
+        return { url: repository, archived: false };
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Checks that the `location` and the `extensionFile` of the extension are in a checkout of its repository
+ * @param {string} checkout
+ * @param {string} id
+ * @param {Readonly<Omit<import('../types').Extension, "id">>} extension
+ * @returns {Promise<import('../types').AuditFinding[]>}
+ */
+async function auditCheckout(checkout, id, extension) {
+    /** @type {import('../types').AuditFinding[]} */
+    const findings = [];
+    if (extension.location && !fs.existsSync(path.join(checkout, extension.location, "package.json"))) {
+        const location = await findPackageDirectory(checkout, id);
+        const message = `${extension.location}/package.json does not exist at HEAD`;
+        findings.push(
+            location === undefined
+                ? { id, kind: "locationMissing", message: `${message}, nor does any package.json of ${id}` }
+                : {
+                      id,
+                      kind: "locationMissing",
+                      message: `${message}, the extension is ${location ? `in ${location}` : "at the root"} now`,
+                      fix: { location: location || null },
+                  },
+        );
+    }
+    // Without commands building it, the package has to be committed
+    if (
+        extension.extensionFile &&
+        !extension.prepublish &&
+        !extension.custom &&
+        !fs.existsSync(path.join(checkout, extension.extensionFile))
+    ) {
+        findings.push({
+            id,
+            kind: "extensionFileMissing",
+            message: `${extension.extensionFile} does not exist at HEAD, and no \`prepublish\` or \`custom\` command builds it`,
+        });
+    }
+    return findings;
+}
+
+/**
+ * Finds what is stale or broken about the entry of the extension in extensions.json
+ * @param {string} id
+ * @param {Readonly<Omit<import('../types').Extension, "id">>} extension
+ * @param {{onMarketplace: boolean, getProvider?: typeof getForgeProvider}} options `onMarketplace` is whether the MS marketplace has the extension.
+ * `getProvider` returns the provider to look up the repository with, e.g. in tests.
+ * @returns {Promise<import('../types').AuditFinding[]>}
+ */
+async function auditExtension(id, extension, { onMarketplace, getProvider = getForgeProvider }) {
+    /** @type {import('../types').AuditFinding[]} */
+    const findings = [];
+    if (!onMarketplace) {
+        findings.push({
+            id,
+            kind: "notOnMarketplace",
+            message: `${extension.msMarketplaceIdOverride ?? id} is not on the MS marketplace, it may have been unpublished`,
+        });
+    }
+
+    if (!extension.repository) {
+        return findings;
+    }
+    const repository = await findRepository(extension.repository, extension.forge, getProvider);
+    if (!repository) {
+        findings.push({
+            id,
+            kind: "repositoryMissing",
+            message: `${extension.repository} does not exist anymore, or is not public`,
+        });
+        return findings;
+    }
+    if (getRepositoryKey(repository.url) !== getRepositoryKey(extension.repository)) {
+        findings.push({
+            id,
+            kind: "repositoryMoved",
+            message: `${extension.repository} moved to ${repository.url}`,
+            fix: { repository: repository.url },
+        });
+    }
+    if (repository.archived) {
+        findings.push({
+            id,
+            kind: "repositoryArchived",
+            message: `${repository.url} is archived, so the extension gets no new versions from it`,
+        });
+    }
+
+    // Only entries which point into the repository need a checkout
+    if (extension.location || (extension.extensionFile && !extension.prepublish && !extension.custom)) {
+        const checkout = getWorkspace(id).repository;
+        try {
+            await addWorktree(repository.url, checkout);
+            findings.push(...(await auditCheckout(checkout, id, extension)));
+        } finally {
+            await removeRepository(repository.url);
+            await cleanWorkspace(id);
+        }
+    }
+    return findings;
+}
+
+/**
+ * Applies the fixes of the findings which have one
+ * @param {Readonly<{[id: string]: any}>} extensions the content of extensions.json
+ * @param {import('../types').AuditFinding[]} findings
+ * @returns {{[id: string]: any}} the fixed content, in the same order
+ */
+function applyFixes(extensions, findings) {
+    const fixed = { ...extensions };
+    for (const { id, fix } of findings) {
+        if (!fix || !fixed[id]) {
+            continue;
+        }
+        const entry = { ...fixed[id] };
+        for (const [property, value] of Object.entries(fix)) {
+            if (value === null) {
+                delete entry[property];
+            } else {
+                entry[property] = value;
+            }
+        }
+        fixed[id] = entry;
+    }
+    return fixed;
+}
+
+/**
+ * @param {import('../types').AuditFinding[]} findings
+ * @returns {string} the Markdown report of the findings, by their kind
+ */
+function formatAudit(findings) {
+    const fixable = findings.filter((finding) => !!finding.fix).length;
+    const lines = ["# Audit of extensions.json", ""];
+    if (findings.length === 0) {
+        lines.push("Nothing stale or broken found.");
+        return lines.join("\n");
+    }
+    lines.push(`${findings.length} findings, of which ${fixable} can be fixed with \`--write\``, "");
+    for (const [kind, title] of Object.entries(titles)) {
+        const ofKind = findings.filter((finding) => finding.kind === kind);
+        if (ofKind.length === 0) {
+            continue;
+        }
+        lines.push(`## ${title}`, "");
+        for (const { id, message, fix } of ofKind) {
+            const changes = Object.entries(fix ?? {}).map(([property, value]) =>
+                value === null ? `remove \`${property}\`` : `set \`${property}\` to \`${value}\``,
+            );
+            lines.push(`- ${id}: ${message}${changes.length ? ` (fix: ${changes.join(", ")})` : ""}`);
+        }
+        lines.push("");
+    }
+    return lines.join("\n");
+}
+
+module.exports = { auditCheckout, auditExtension, applyFixes, formatAudit };
@@ -0,0 +1,132 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+// The nightly workflow restores it when a run is re-run, see .github/workflows/publish-extensions.yml
+const checkpointDirectory = process.env.CHECKPOINT_DIR || "/tmp/checkpoint";
+
+/**
+ * Removes everything the stat records about the extension, so that it can be processed again
+ * @param {import('../types').PublishStat} stat
+ * @param {string} id
+ */
+function forgetExtension(stat, id) {
+    for (const stats of /** @type {{[category: string]: any}[]} */ ([stat, stat.preRelease])) {
+        for (const [category, value] of Object.entries(stats)) {
+            if (category === "preRelease" || category === "dependencyCycles") {
+                // The latter is looked up again by every run
+                continue;
+            }
+            if (Array.isArray(value)) {
+                stats[category] = value.filter((item) => item !== id);
+            } else {
+                delete value[id];
+            }
+        }
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<any[]>} the entries of the JSON lines file, without the truncated ones
+ */
+async function readJsonLines(file) {
+    const content = await fs.promises.readFile(file, "utf-8");
+    /** @type {any[]} */
+    const entries = [];
+    for (const line of content.split("\n")) {
+        try {
+            if (line.trim()) {
+                entries.push(JSON.parse(line));
+            }
+        } catch {
+            // The run may have been interrupted while appending
+        }
+    }
+    return entries;
+}
+
+/**
+ * Opens the checkpoint the stat and the progress of the run are persisted to after every extension, see `RESUME` in DEVELOPMENT.md.
+ * The journal is a JSON lines file: the extensions the run was started for, then every extension processed and whether it completed.
+ * @param {string[] | undefined} toVerify the extensions of the run, all if `undefined`
+ * @param {{resume: boolean, directory?: string}} options `resume` continues the checkpoint of an interrupted run of the same extensions
+ * @returns {Promise<import('../types').Checkpoint>}
+ */
+async function openCheckpoint(toVerify, { resume, directory = checkpointDirectory }) {
+    const journalFile = path.join(directory, "journal.jsonl");
+    const statFile = path.join(directory, "stat.json");
+    const extensions = toVerify ?? null;
+
+    /** @type {import('../types').Checkpoint["stat"]} */
+    let stat;
+    /** @type {Set<string>} */
+    const completed = new Set();
+    if (resume) {
+        try {
+            const [start, ...entries] = await readJsonLines(journalFile);
+            if (JSON.stringify(start?.extensions) !== JSON.stringify(extensions)) {
+                console.warn("[WARN] The checkpoint is of a run of other extensions, starting over");
+            } else {
+                stat = JSON.parse(await fs.promises.readFile(statFile, "utf-8"));
+                // Later entries of an extension supersede the earlier ones
+                for (const entry of entries) {
+                    if (entry.completed) {
+                        completed.add(entry.id);
+                    } else {
+                        completed.delete(entry.id);
+                    }
+                }
+                console.log(`Resuming the run started at ${start.started}, ${completed.size} extensions completed`);
+            }
+        } catch {
+            console.warn("[WARN] There is no checkpoint to resume from, starting over");
+        }
+    }
+    if (!stat) {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+            journalFile,
+            JSON.stringify({ started: new Date().toISOString(), extensions }) + "\n",
+            "utf-8",
+        );
+    }
+
+    // Extensions processed at once are persisted one after another
+    let writes = Promise.resolve();
+    return {
+        stat,
+        completed,
+        record(id, isCompleted, currentStat) {
+            writes = writes
+                .then(async () => {
+                    // Renamed into place, so that an interruption never leaves half a stat behind
+                    await fs.promises.writeFile(`${statFile}.tmp`, JSON.stringify(currentStat), "utf-8");
+                    await fs.promises.rename(`${statFile}.tmp`, statFile);
+                    await fs.promises.appendFile(
+                        journalFile,
+                        JSON.stringify({ id, completed: isCompleted, date: new Date().toISOString() }) + "\n",
+                        "utf-8",
+                    );
+                })
+                .catch((error) => {
+                    // The run goes on, it only could not be resumed from here
+                    console.warn(`[WARN] Could not persist the progress of ${id}: ${error}`);
+                });
+            return writes;
+        },
+    };
+}
+
+module.exports = { forgetExtension, openCheckpoint };
@@ -1,6 +1,28 @@
+const fs = require("fs");
+
+/**
+ * Read from the JSON file at `REGISTRY_CONFIG`, the `REGISTRY_URL` and `MS_GALLERY_URL` environment variables take precedence over it
+ * @type {{registryUrl?: string, msGalleryUrl?: string}}
+ */
+const registryConfig = process.env.REGISTRY_CONFIG
+    ? JSON.parse(fs.readFileSync(process.env.REGISTRY_CONFIG, "utf-8"))
+    : {};
+
+const registryUrl = (process.env.REGISTRY_URL || registryConfig.registryUrl || "https://open-vsx.org").replace(
+    /\/+$/,
+    "",
+);
+const msGalleryUrl = (
+    process.env.MS_GALLERY_URL ||
+    registryConfig.msGalleryUrl ||
+    "https://marketplace.visualstudio.com"
+).replace(/\/+$/, "");
+
 module.exports = {
     artifactDirectory: "/tmp/artifacts",
-    registryHost: "open-vsx.org",
-    repoPath: "/tmp/repository/main",
+    registryUrl,
+    msGalleryUrl,
+    workspaceDirectory: "/tmp/workspaces",
+    logDirectory: "/tmp/logs",
     defaultPythonVersion: "3.9",
 };
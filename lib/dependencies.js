@@ -0,0 +1,127 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { ExtensionQueryFilterType, ExtensionQueryFlags } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
+
+const vscodeBuiltinExtensionsNamespace = "vscode";
+
+// Extensions looked up with one gallery query
+const batchSize = 50;
+
+/**
+ * @param {string} id
+ * @returns {boolean} whether the extension ships with VS Code, so it does not have to be on Open VSX
+ */
+const isBuiltIn = (id) => id.split(".")[0] === vscodeBuiltinExtensionsNamespace;
+
+/**
+ * @param {Readonly<import('../types').IRawGalleryExtensionProperty[]> | undefined} properties of a gallery version
+ * @returns {string[]} the `extensionDependencies` and the `extensionPack` of the version
+ */
+function getDependencies(properties) {
+    return (properties ?? [])
+        .filter(
+            (property) =>
+                property.key === "Microsoft.VisualStudio.Code.ExtensionDependencies" ||
+                property.key === "Microsoft.VisualStudio.Code.ExtensionPack",
+        )
+        .flatMap((property) => property.value.split(","))
+        .map((id) => id.trim())
+        .filter((id) => !!id);
+}
+
+/**
+ * Looks up the latest versions of the extensions, several at once
+ * @param {import('@vscode/vsce/out/publicgalleryapi').PublicGalleryAPI} api
+ * @param {string[]} ids
+ * @param {() => Promise<unknown>} [throttle] called before every query
+ * @returns {Promise<Map<string, import('azure-devops-node-api/interfaces/GalleryInterfaces').PublishedExtension>>} the ones found, by their lower case ID
+ */
+async function queryLatestVersions(api, ids, throttle) {
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += batchSize) {
+        const batch = ids.slice(i, i + batchSize);
+        await throttle?.();
+        const extensions = await api.extensionQuery({
+            pageSize: batch.length,
+            criteria: batch.map((value) => ({ filterType: ExtensionQueryFilterType.Name, value })),
+            flags: [ExtensionQueryFlags.IncludeLatestVersionOnly, ExtensionQueryFlags.IncludeVersionProperties],
+        });
+        for (const extension of extensions) {
+            found.set(`${extension.publisher.publisherName}.${extension.extensionName}`.toLowerCase(), extension);
+        }
+    }
+    return found;
+}
+
+/**
+ * Tarjan's algorithm for strongly connected components, which yields every component after the ones it depends on
+ * @template T
+ * @param {T[]} nodes
+ * @param {(node: T) => T[]} dependenciesOf
+ * @returns {T[][]} the components, their nodes in the order of `nodes`
+ */
+function findComponents(nodes, dependenciesOf) {
+    /** @type {Map<T, {index: number, lowLink: number}>} */
+    const visited = new Map();
+    /** @type {T[]} */
+    const stack = [];
+    /** @type {T[][]} */
+    const components = [];
+
+    /** @param {T} node */
+    const visit = (node) => {
+        const state = { index: visited.size, lowLink: visited.size };
+        visited.set(node, state);
+        stack.push(node);
+        for (const dependency of dependenciesOf(node)) {
+            const dependencyState = visited.get(dependency);
+            if (!dependencyState) {
+                visit(dependency);
+                state.lowLink = Math.min(state.lowLink, /** @type {any} */ (visited.get(dependency)).lowLink);
+            } else if (stack.includes(dependency)) {
+                state.lowLink = Math.min(state.lowLink, dependencyState.index);
+            }
+        }
+        if (state.lowLink === state.index) {
+            const component = stack.splice(stack.indexOf(node));
+            components.push(nodes.filter((candidate) => component.includes(candidate)));
+        }
+    };
+    for (const node of nodes) {
+        if (!visited.has(node)) {
+            visit(node);
+        }
+    }
+    return components;
+}
+
+/**
+ * Finds the extensions depending on each other
+ * @param {string[]} ids
+ * @param {Map<string, string[]>} dependencies the dependencies among `ids`, by extension
+ * @returns {string[][]} the cycles, each in the order of `ids`
+ */
+const findCycles = (ids, dependencies) =>
+    findComponents(ids, (id) => dependencies.get(id) ?? []).filter(
+        (component) => component.length > 1 || !!dependencies.get(component[0])?.includes(component[0]),
+    );
+
+/**
+ * Sorts `nodes` so that they come after what they depend on, the nodes of a cycle together in their order
+ * @template T
+ * @param {T[]} nodes
+ * @param {(node: T) => T[]} dependenciesOf
+ * @returns {T[]}
+ */
+const sortTopologically = (nodes, dependenciesOf) => findComponents(nodes, dependenciesOf).flat();
+
+module.exports = { isBuiltIn, getDependencies, queryLatestVersions, findCycles, sortTopologically };
@@ -0,0 +1,216 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const fg = require("fast-glob");
+const { detectPackageManager } = require("./packageManagers");
+
+/**
+ * Files which show that Python is needed to build the extension, e.g. to bundle Python libraries
+ */
+const pythonFiles = ["requirements.txt", "pyproject.toml", "setup.py", "noxfile.py"];
+
+/**
+ * Dependencies which are native modules, or which load or build native modules
+ */
+const nativeDependencies = new Set([
+    "node-pty",
+    "keytar",
+    "sqlite3",
+    "better-sqlite3",
+    "serialport",
+    "@serialport/bindings-cpp",
+    "usb",
+    "zeromq",
+    "tree-sitter",
+    "@parcel/watcher",
+    "bufferutil",
+    "utf-8-validate",
+    "bindings",
+    "node-gyp-build",
+    "prebuild-install",
+    "node-addon-api",
+    "nan",
+]);
+
+/**
+ * Platforms proposed for extensions with native modules, see `target` in extensions-schema.json.
+ * Their dependencies are installed for the platform through the npm config, so that prebuilt binaries are fetched.
+ */
+const nativeTargets = /** @type {const} */ ([
+    ["linux-x64", "linux", "x64"],
+    ["linux-arm64", "linux", "arm64"],
+    ["darwin-x64", "darwin", "x64"],
+    ["darwin-arm64", "darwin", "arm64"],
+    ["win32-x64", "win32", "x64"],
+    ["win32-arm64", "win32", "arm64"],
+]);
+
+/**
+ * @param {string} file
+ * @returns {Promise<string | undefined>} the content of the file, `undefined` if it does not exist
+ */
+const readIfExists = (file) => fs.promises.readFile(file, "utf-8").catch(() => undefined);
+
+/**
+ * Finds the package.json of the extension, the one closest to the root of the repository if there are several
+ * @param {string} repoPath
+ * @param {string} id
+ * @returns {Promise<string | undefined>} the directory of the package.json relative to `repoPath`, `""` for the root
+ */
+async function findPackageDirectory(repoPath, id) {
+    const files = await fg("**/package.json", { cwd: repoPath, ignore: ["**/node_modules/**"], deep: 5 });
+    files.sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b));
+    for (const file of files) {
+        try {
+            const { publisher, name } = JSON.parse(await fs.promises.readFile(path.join(repoPath, file), "utf-8"));
+            if (`${publisher}.${name}`.toLowerCase() === id.toLowerCase()) {
+                return path.posix.dirname(file) === "." ? "" : path.posix.dirname(file);
+            }
+        } catch {}
+    }
+    return undefined;
+}
+
+/**
+ * Reads the Python version the repository asks for, by `.python-version` or the `requires-python` of pyproject.toml
+ * @param {string[]} directories to look in, the most specific one first
+ * @returns {Promise<string | undefined>}
+ */
+async function findPythonVersion(directories) {
+    for (const directory of directories) {
+        const pinned = (await readIfExists(path.join(directory, ".python-version")))?.split("\n")[0].trim();
+        if (pinned) {
+            return pinned;
+        }
+        const pyproject = await readIfExists(path.join(directory, "pyproject.toml"));
+        const required = pyproject?.match(/^\s*requires-python\s*=\s*["'][^"'\d]*(\d+\.\d+)/m)?.[1];
+        if (required) {
+            return required;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Inspects a checkout of the repository for what building the extension needs
+ * @param {string} repoPath
+ * @param {string} id
+ * @returns {Promise<import('../types').DetectedConfiguration | undefined>} `undefined` if the repository has no package.json of the extension
+ */
+async function detectConfiguration(repoPath, id) {
+    const location = await findPackageDirectory(repoPath, id);
+    if (location === undefined) {
+        return undefined;
+    }
+    const packagePath = path.join(repoPath, location);
+    // The package directory first, then its parents up to the root of the repository
+    const directories = [packagePath];
+    while (path.relative(repoPath, directories[directories.length - 1])) {
+        directories.push(path.dirname(directories[directories.length - 1]));
+    }
+
+    const manifest = JSON.parse(await fs.promises.readFile(path.join(packagePath, "package.json"), "utf-8"));
+    const { manager: packageManager } = detectPackageManager(repoPath, packagePath);
+    const nvmFile = directories.map((directory) => path.join(directory, ".nvmrc")).find((file) => fs.existsSync(file));
+    const nativeModules = Object.keys(manifest.dependencies ?? {}).filter((dependency) =>
+        nativeDependencies.has(dependency),
+    );
+    if (fs.existsSync(path.join(packagePath, "binding.gyp"))) {
+        nativeModules.push("binding.gyp");
+    }
+
+    return {
+        location: location || undefined,
+        packageManager,
+        node: nvmFile && (await fs.promises.readFile(nvmFile, "utf-8")).trim(),
+        python: directories.some((directory) => pythonFiles.some((file) => fs.existsSync(path.join(directory, file)))),
+        pythonVersion: await findPythonVersion(directories),
+        nativeModules,
+        hasPrepublish: !!manifest.scripts?.["vscode:prepublish"],
+        buildScript: ["build", "compile"].find((script) => manifest.scripts?.[script]),
+    };
+}
+
+/**
+ * Proposes entries for extensions.json from what was detected, the likeliest to build first.
+ * The properties of `entry` are kept as they are in all of them.
+ * @param {import('../types').DetectedConfiguration} detected
+ * @param {Readonly<{[key: string]: any}>} entry the entry as given by the contributor
+ * @returns {{[key: string]: any}[]}
+ */
+function proposeEntries(detected, entry) {
+    /** @type {{[key: string]: any}} */
+    const base = {};
+    if (detected.location) {
+        base.location = detected.location;
+    }
+    if (detected.python && detected.pythonVersion) {
+        base.pythonVersion = detected.pythonVersion;
+    }
+    const proposals = [base];
+
+    if (detected.nativeModules.length > 0) {
+        const target = Object.fromEntries(
+            nativeTargets.map(([target, platform, arch]) => [
+                target,
+                { env: { npm_config_platform: platform, npm_config_arch: arch } },
+            ]),
+        );
+        // Without targets the package would only contain the native modules of the platform it was built on
+        proposals.unshift({ ...base, target });
+    }
+    if (!detected.hasPrepublish && detected.buildScript) {
+        for (const proposal of [...proposals]) {
+            proposals.push({ ...proposal, prepublish: `${detected.packageManager} run ${detected.buildScript}` });
+        }
+    }
+
+    const entries = proposals.map((proposal) => ({ ...entry, ...proposal, ...entry }));
+    // Drop the proposals the properties of `entry` made identical
+    return entries.filter(
+        (candidate, index) =>
+            entries.findIndex((other) => JSON.stringify(other) === JSON.stringify(candidate)) === index,
+    );
+}
+
+/**
+ * Builds the extension with the entries one after the other, until it builds with one of them
+ * @param {{[key: string]: any}[]} candidates the entries to try, the first one written to extensions.json already
+ * @param {(entry: {[key: string]: any}) => Promise<void>} writeEntry writes the entry to extensions.json
+ * @param {() => Promise<{stdout: string, stderr: string}>} build builds the extensions of extensions.json, rejects if the build exits with an error
+ * @returns {Promise<{[key: string]: any} | undefined>} the entry the extension was built with, `undefined` if none of them built
+ */
+async function buildCandidates(candidates, writeEntry, build) {
+    for (const [index, candidate] of candidates.entries()) {
+        if (index > 0) {
+            console.info(
+                `Retrying with another configuration (${index + 1}/${candidates.length}):`,
+                util.inspect(candidate, { colors: true, compact: false }),
+            );
+            await writeEntry(candidate);
+        }
+        try {
+            const { stderr } = await build();
+            if (!stderr.includes("[FAIL] Could not process extension:")) {
+                return candidate;
+            }
+        } catch (error) {
+            // A failed build sets the exit code of the run
+            console.warn(`Couldn't build with this configuration: ${String(error).split("\n")[0]}`);
+        }
+    }
+    return undefined;
+}
+
+module.exports = { findPackageDirectory, detectConfiguration, proposeEntries, buildCandidates };
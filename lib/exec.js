@@ -10,39 +10,204 @@
 
 // @ts-check
 const cp = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Transform } = require("stream");
+const { logDirectory } = require("./constants");
+
+/**
+ * Holds the log of the extension being processed, see `withExtensionLog`
+ * @type {AsyncLocalStorage<{id: string, prefix?: string, log: fs.WriteStream}>}
+ */
+const extensionLog = new AsyncLocalStorage();
+
+/**
+ * Creates a stream prepending `prefix` to every line written to it
+ * @param {string} prefix
+ * @returns {Transform}
+ */
+const prefixLines = (prefix) => {
+    let pending = "";
+    return new Transform({
+        transform(chunk, _encoding, callback) {
+            const lines = (pending + chunk.toString()).split("\n");
+            pending = lines.pop() ?? "";
+            callback(null, lines.map((line) => `[${prefix}] ${line}\n`).join(""));
+        },
+        flush(callback) {
+            callback(null, pending ? `[${prefix}] ${pending}\n` : "");
+        },
+    });
+};
+
+/**
+ * Forwards the output of a command to `destination`, prefixed if it runs within `withExtensionLog` with `prefix` set
+ * @param {import('stream').Readable} source
+ * @param {NodeJS.WritableStream} destination
+ */
+const forwardOutput = (source, destination) => {
+    const prefix = extensionLog.getStore()?.prefix;
+    if (prefix) {
+        source.pipe(prefixLines(prefix)).pipe(destination);
+    } else {
+        source.pipe(destination);
+    }
+};
+
+/**
+ * @param {string} id
+ * @returns {string} the path of the log of the extension
+ */
+const getLogFile = (id) => path.join(logDirectory, `${id}.log`);
+
+class TimeoutError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "TimeoutError";
+    }
+}
+
+// Commands writing more than that to stdout or stderr are killed, like `maxBuffer` of `child_process.exec`
+const defaultMaxBuffer = 10 * 1024 * 1024; // 10MB
 
 /**
  * @param {string} command
- * @param {{cwd?: string, quiet?: boolean, ghtoken?: boolean}} [options]
+ * @param {{cwd?: string, quiet?: boolean, ghtoken?: boolean, deadline?: number, env?: {[key: string]: string}, maxBuffer?: number}} [options] `deadline` is a timestamp in milliseconds after which the whole process group of the command is killed, `env` is applied on top of the current environment
  * @returns {Promise<{ stdout: string, stderr: string }>}
  */
 module.exports = async (command, options) => {
+    const log = extensionLog.getStore()?.log;
+    log?.write(`$ ${command}\n`);
     if (!options?.quiet) {
-        console.log(`Running: ${command}`);
+        const prefix = extensionLog.getStore()?.prefix;
+        console.log(`${prefix ? `[${prefix}] ` : ""}Running: ${command}`);
+    }
+    const deadline = options?.deadline;
+    if (deadline !== undefined && deadline <= Date.now()) {
+        throw new TimeoutError(`Timed out before running: ${command}`);
     }
     return new Promise((resolve, reject) => {
-        const child = cp.exec(
-            command,
-            {
-                cwd: options?.cwd,
-                maxBuffer: 10 * 1024 * 1024, // 10MB
-                env: {
-                    ...process.env,
-                    // remove on purpose to work around issues in vscode package
-                    GITHUB_TOKEN: options?.ghtoken ? process.env.GITHUB_TOKEN : undefined,
-                },
-                shell: "/bin/bash",
-            },
-            (error, stdout, stderr) => {
-                if (error) {
-                    return reject(error);
-                }
-                resolve({ stdout, stderr });
+        // `exec` cannot start the command in its own process group, so the output is collected by hand
+        const child = cp.spawn("/bin/bash", ["-c", command], {
+            cwd: options?.cwd,
+            env: {
+                ...process.env,
+                // remove on purpose to work around issues in vscode package
+                GITHUB_TOKEN: options?.ghtoken ? process.env.GITHUB_TOKEN : undefined,
+                ...options?.env,
             },
-        );
+            // a separate process group lets us kill everything the command spawned once the deadline is hit
+            detached: deadline !== undefined,
+        });
+        const kill = () => {
+            try {
+                // the whole process group, if the command has one
+                process.kill(-(/** @type {number} */ (child.pid)), "SIGKILL");
+            } catch {
+                child.kill("SIGKILL");
+            }
+        };
+
+        const maxBuffer = options?.maxBuffer ?? defaultMaxBuffer;
+        /** @type {"stdout" | "stderr" | undefined} */
+        let exceeded;
+        let stdout = "";
+        let stderr = "";
+        child.stdout.setEncoding("utf8").on("data", (chunk) => {
+            stdout += chunk;
+            if (!exceeded && stdout.length > maxBuffer) {
+                exceeded = "stdout";
+                kill();
+            }
+        });
+        child.stderr.setEncoding("utf8").on("data", (chunk) => {
+            stderr += chunk;
+            if (!exceeded && stderr.length > maxBuffer) {
+                exceeded = "stderr";
+                kill();
+            }
+        });
+        // the log gets the output of quiet commands too
+        child.stdout.on("data", (chunk) => log?.write(chunk));
+        child.stderr.on("data", (chunk) => log?.write(chunk));
+
+        /** @type {NodeJS.Timeout | undefined} */
+        let timer;
+        let timedOut = false;
+        if (deadline !== undefined) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                kill();
+            }, deadline - Date.now());
+        }
+
+        child.once("error", (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.once("close", (code, signal) => {
+            clearTimeout(timer);
+            if (timedOut) {
+                return reject(new TimeoutError(`Timed out while running: ${command}`));
+            }
+            if (exceeded) {
+                return reject(
+                    Object.assign(new RangeError(`${exceeded} maxBuffer length exceeded: ${command}`), {
+                        code: "ERR_CHILD_PROCESS_STDIO_MAXBUFFER",
+                        stdout,
+                        stderr,
+                    }),
+                );
+            }
+            if (code !== 0) {
+                return reject(
+                    Object.assign(new Error(`Command failed: ${command}\n${stderr}`), { code, signal, stdout, stderr }),
+                );
+            }
+            resolve({ stdout, stderr });
+        });
+
         if (!options?.quiet) {
-            child.stdout.pipe(process.stdout);
+            forwardOutput(child.stdout, process.stdout);
         }
-        child.stderr.pipe(process.stderr);
+        forwardOutput(child.stderr, process.stderr);
     });
 };
+
+/**
+ * Captures the output of all commands run within `fn` in the log of the extension, see `getLogFile`.
+ * The log is started over, unless `fn` runs within the log of the same extension already.
+ * @template T
+ * @param {string} id
+ * @param {{prefix?: boolean}} options `prefix` prefixes the output with `id`, so that the output of extensions processed at once can be told apart
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+module.exports.withExtensionLog = async (id, options, fn) => {
+    const current = extensionLog.getStore();
+    if (current?.id === id) {
+        return fn();
+    }
+    await fs.promises.mkdir(logDirectory, { recursive: true });
+    const log = fs.createWriteStream(getLogFile(id));
+    try {
+        return await extensionLog.run({ id, prefix: options.prefix ? id : undefined, log }, fn);
+    } finally {
+        await new Promise((resolve) => log.end(resolve));
+    }
+};
+
+/**
+ * Appends `message` to the log of the extension being processed, if any
+ * @param {string} message
+ */
+module.exports.appendToLog = (message) => {
+    extensionLog.getStore()?.log.write(`${message}\n`);
+};
+
+module.exports.getLogFile = getLogFile;
+module.exports.TimeoutError = TimeoutError;
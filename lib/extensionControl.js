@@ -0,0 +1,80 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+// Kept in sync with the manifest of the MS marketplace by extension-control/update.ts
+const controlFile = path.resolve(__dirname, "../extension-control/extensions.json");
+
+/**
+ * @typedef {{malicious: Set<string>, deprecated: Map<string, import('../types').ExtensionDeprecation>}} ExtensionControl
+ */
+
+/** @type {ExtensionControl | undefined} */
+let defaultControl;
+
+/**
+ * Reads the `malicious` and `deprecated` extensions of the control manifest
+ * @param {string} [file]
+ * @returns {ExtensionControl} the IDs in lower case, since the marketplaces compare them case-insensitively
+ */
+function readExtensionControl(file = controlFile) {
+    const manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return {
+        malicious: new Set((manifest.malicious ?? []).map((/** @type {string} */ id) => id.toLowerCase())),
+        deprecated: new Map(
+            Object.entries(manifest.deprecated ?? {}).map(([id, deprecation]) => [id.toLowerCase(), deprecation]),
+        ),
+    };
+}
+
+/**
+ * Looks the extension up in the control manifest.
+ * Malicious extensions are blocked, and so are deprecated ones VS Code does not let users install anymore.
+ * @param {string[]} ids the ID of the extension, and its ID on the MS marketplace if it is different
+ * @param {ExtensionControl} [control] the one of extension-control/extensions.json by default
+ * @returns {import('../types').ExtensionControlVerdict | undefined} `undefined` if the extension is in neither list
+ */
+function checkExtensionControl(ids, control) {
+    if (!control) {
+        defaultControl ??= readExtensionControl();
+        control = defaultControl;
+    }
+    const lowerCaseIds = ids.map((id) => id.toLowerCase());
+    if (lowerCaseIds.some((id) => control.malicious.has(id))) {
+        return { reason: "malicious", blocked: true };
+    }
+    for (const id of lowerCaseIds) {
+        const deprecation = control.deprecated.get(id);
+        if (deprecation) {
+            return typeof deprecation === "object"
+                ? {
+                      reason: "deprecated",
+                      blocked: !!deprecation.disallowInstall,
+                      replacement: deprecation.extension?.id,
+                  }
+                : { reason: "deprecated", blocked: false };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @param {import('../types').ExtensionControlVerdict} verdict
+ * @returns {string}
+ */
+const describeVerdict = (verdict) =>
+    verdict.reason === "malicious"
+        ? "is on the malicious list of extension-control"
+        : `is deprecated${verdict.blocked ? " and cannot be installed anymore" : ""}${verdict.replacement ? `, in favor of ${verdict.replacement}` : ""}`;
+
+module.exports = { readExtensionControl, checkExtensionControl, describeVerdict };
@@ -0,0 +1,157 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const util = require("util");
+const { TimeoutError, getLogFile, appendToLog } = require("./exec");
+
+/**
+ * Why an extension could not be published, see `FailureReason` in types.d.ts
+ * @type {Readonly<{[reason in import('../types').FailureReason]: reason}>}
+ */
+const FailureReason = Object.freeze({
+    resolve: "resolve",
+    install: "install",
+    prepublish: "prepublish",
+    package: "package",
+    license: "license",
+    dependency: "dependency",
+    publish: "publish",
+    blocked: "blocked",
+    timeout: "timeout",
+    other: "other",
+});
+
+class ExtensionError extends Error {
+    /**
+     * @param {import('../types').FailureReason} reason
+     * @param {string} message
+     * @param {{cause?: unknown, verdict?: import('../types').ExtensionControlVerdict, license?: import('../types').LicenseClassification}} [options] `verdict` for `blocked`, `license` for `license`
+     */
+    constructor(reason, message, options) {
+        super(message, options);
+        this.name = "ExtensionError";
+        this.reason = reason;
+        this.verdict = options?.verdict;
+        this.license = options?.license;
+    }
+}
+
+/**
+ * @param {unknown} error
+ * @returns {import('../types').FailureReason}
+ */
+const classifyFailure = (error) => {
+    if (error instanceof TimeoutError) {
+        return FailureReason.timeout;
+    }
+    if (error instanceof ExtensionError) {
+        return error.reason;
+    }
+    return FailureReason.other;
+};
+
+/**
+ * Runs `fn` and classifies what it throws as `reason`, unless it timed out or has been classified already
+ * @template T
+ * @param {import('../types').FailureReason} reason
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+const withFailureReason = async (reason, fn) => {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof TimeoutError || error instanceof ExtensionError) {
+            throw error;
+        }
+        throw new ExtensionError(reason, error instanceof Error ? error.message : String(error), { cause: error });
+    }
+};
+
+/**
+ * @param {string} id
+ * @param {unknown} error
+ * @returns {import('../types').Failure}
+ */
+const describeFailure = (id, error) => {
+    const message = error instanceof Error ? error.message : String(error);
+    /** @type {import('../types').Failure} */
+    const failure = { reason: classifyFailure(error), message: message.split("\n")[0], log: getLogFile(id) };
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID, LOG_ARTIFACT } = process.env;
+    // The log is gone with the runner, the workflows upload it as the artifact LOG_ARTIFACT names
+    if (GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID && LOG_ARTIFACT) {
+        failure.logArtifact = {
+            run: `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`,
+            name: LOG_ARTIFACT,
+        };
+    }
+    if (error instanceof ExtensionError && error.verdict) {
+        failure.verdict = error.verdict;
+    }
+    if (error instanceof ExtensionError && error.license) {
+        failure.license = error.license;
+    }
+    return failure;
+};
+
+/**
+ * Logs a short description of the failure, the whole error and `details` only go to the log of the extension
+ * @param {string} id
+ * @param {unknown} error
+ * @param {{extension: Readonly<import('../types').Extension>, publishContext: import('../types').PublishContext}} details
+ * @returns {import('../types').Failure}
+ */
+const reportFailure = (id, error, details) => {
+    const failure = describeFailure(id, error);
+    const name = details.publishContext.preRelease ? `${id} (pre-release)` : id;
+    const target = details.publishContext.target ? `@${details.publishContext.target}` : "";
+    console.error(`[FAIL] Could not process extension: ${name}${target} (${failure.reason}) ${failure.message}`);
+    console.error(`See ${failure.log} for details`);
+    appendToLog(`[FAIL] ${JSON.stringify(details, null, 2)}\n${util.inspect(error)}`);
+    return failure;
+};
+
+/**
+ * Records the failure in the stat, timeouts of the stable channel are kept apart from the other failures.
+ * Extensions blocked by extension-control once they were built or published are recorded as `blocked`, like the ones
+ * blocked before resolving.
+ * @param {import('../types').PublishStat} stat
+ * @param {string} id
+ * @param {import('../types').Failure} failure
+ * @param {boolean | undefined} preRelease
+ */
+const recordFailure = (stat, id, failure, preRelease) => {
+    if (failure.reason === FailureReason.blocked && failure.verdict) {
+        stat.blocked[id] = failure.verdict;
+        return;
+    }
+    if (preRelease) {
+        stat.preRelease.failed.push(id);
+        stat.preRelease.failures[id] = failure;
+        return;
+    }
+    if (failure.reason === FailureReason.timeout) {
+        stat.timedOut.push(id);
+    } else {
+        stat.failed.push(id);
+    }
+    stat.failures[id] = failure;
+};
+
+module.exports = {
+    FailureReason,
+    ExtensionError,
+    classifyFailure,
+    withFailureReason,
+    describeFailure,
+    reportFailure,
+    recordFailure,
+};
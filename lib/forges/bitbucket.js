@@ -0,0 +1,45 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { fetchJson, isReleaseAsset, repositoryPath } = require("./http");
+
+const token = process.env.BITBUCKET_TOKEN;
+
+/**
+ * Bitbucket has no releases, so the files uploaded to the Downloads section of the repository stand in for the assets
+ * @type {import('../../types').ForgeProvider}
+ */
+module.exports = {
+    name: "bitbucket",
+    async getReleases(repositoryUrl) {
+        const [workspace, repo] = repositoryPath(repositoryUrl);
+        const downloads = await fetchJson(
+            `https://api.bitbucket.org/2.0/repositories/${workspace}/${repo}/downloads?pagelen=10`,
+            token ? { Authorization: `Bearer ${token}` } : undefined,
+        );
+        const assets = (downloads?.values ?? [])
+            .map((/** @type {{name: string, links: {self: {href: string}}}} */ file) => ({
+                name: file.name,
+                url: file.links.self.href,
+            }))
+            .filter((/** @type {import('../../types').ForgeReleaseAsset} */ asset) => isReleaseAsset(asset.name));
+        return assets.length === 0 ? [] : [{ assets }];
+    },
+    async getRepository(repositoryUrl) {
+        const [workspace, repo] = repositoryPath(repositoryUrl);
+        const repository = await fetchJson(
+            `https://api.bitbucket.org/2.0/repositories/${workspace}/${repo}`,
+            token ? { Authorization: `Bearer ${token}` } : undefined,
+        );
+        // Bitbucket cannot archive repositories
+        return repository && { url: repository.links.html.href, archived: false };
+    },
+};
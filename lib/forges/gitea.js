@@ -0,0 +1,48 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { fetchJson, isReleaseAsset, repositoryPath } = require("./http");
+
+const token = process.env.GITEA_TOKEN;
+
+/**
+ * Gitea and its fork Forgejo, which Codeberg runs on
+ * @type {import('../../types').ForgeProvider}
+ */
+module.exports = {
+    name: "gitea",
+    async getReleases(repositoryUrl, options) {
+        const [owner, repo] = repositoryPath(repositoryUrl);
+        const api = `${repositoryUrl.origin}/api/v1/repos/${owner}/${repo}`;
+        const headers = token ? { Authorization: `token ${token}` } : undefined;
+        const releases = await fetchJson(
+            `${api}/releases?limit=${options.limit}&draft=false${options.preRelease ? "" : "&pre-release=false"}`,
+            headers,
+        );
+        return (releases ?? []).map((/** @type {any} */ release) => ({
+            tag: release.tag_name,
+            assets: (release.assets ?? [])
+                .map((/** @type {{name: string, browser_download_url: string}} */ asset) => ({
+                    name: asset.name,
+                    url: asset.browser_download_url,
+                }))
+                .filter((/** @type {import('../../types').ForgeReleaseAsset} */ asset) => isReleaseAsset(asset.name)),
+        }));
+    },
+    async getRepository(repositoryUrl) {
+        const [owner, repo] = repositoryPath(repositoryUrl);
+        const repository = await fetchJson(
+            `${repositoryUrl.origin}/api/v1/repos/${owner}/${repo}`,
+            token ? { Authorization: `token ${token}` } : undefined,
+        );
+        return repository && { url: repository.html_url, archived: !!repository.archived };
+    },
+};
@@ -0,0 +1,56 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const Octokit = require("octokit").Octokit;
+const { repositoryPath } = require("./http");
+
+const token = process.env.GITHUB_TOKEN;
+if (!token) {
+    console.warn("GITHUB_TOKEN env var is not set. Skipping lookup from releases");
+}
+const octokit = new Octokit({ auth: token });
+
+/** @type {import('../../types').ForgeProvider} */
+module.exports = {
+    name: "github",
+    async getReleases(repositoryUrl, options) {
+        if (!token) {
+            return [];
+        }
+        const [owner, repo] = repositoryPath(repositoryUrl);
+        // Drafts and pre-releases are filtered out afterwards, so list more than needed
+        const releases = (await octokit.rest.repos.listReleases({ owner, repo, per_page: 30 })).data;
+        return releases
+            .filter((release) => !release.draft && (options.preRelease || !release.prerelease))
+            .slice(0, options.limit)
+            .map((release) => ({
+                tag: release.tag_name,
+                assets: release.assets
+                    .filter((asset) =>
+                        asset.browser_download_url.match(/\/releases\/download\/[-._a-zA-Z0-9\/%]*\.(vsix|zip)$/g),
+                    )
+                    .map((asset) => ({ name: asset.name, url: asset.browser_download_url })),
+            }));
+    },
+    async getRepository(repositoryUrl) {
+        const [owner, repo] = repositoryPath(repositoryUrl);
+        try {
+            // Renamed and transferred repositories are redirected to, so `html_url` is where they are now
+            const { data } = await octokit.rest.repos.get({ owner, repo });
+            return { url: data.html_url, archived: data.archived };
+        } catch (error) {
+            if (/** @type {{status?: number}} */ (error).status === 404) {
+                return undefined;
+            }
+            throw error;
+        }
+    },
+};
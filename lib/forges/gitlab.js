@@ -0,0 +1,51 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { fetchJson, isReleaseAsset, repositoryPath } = require("./http");
+
+const token = process.env.GITLAB_TOKEN;
+
+/**
+ * Projects can be nested in subgroups, so everything up to the `/-/` separator is the project path
+ * @param {URL} repositoryUrl
+ * @returns {string} the URL of the project in the API
+ */
+const getProjectApi = (repositoryUrl) => {
+    const segments = repositoryPath(repositoryUrl);
+    const separator = segments.indexOf("-");
+    const project = encodeURIComponent((separator === -1 ? segments : segments.slice(0, separator)).join("/"));
+    return `${repositoryUrl.origin}/api/v4/projects/${project}`;
+};
+
+/** @type {import('../../types').ForgeProvider} */
+module.exports = {
+    name: "gitlab",
+    async getReleases(repositoryUrl, options) {
+        // GitLab has no notion of pre-releases, releases are sorted by their release date
+        const releases = await fetchJson(
+            `${getProjectApi(repositoryUrl)}/releases?per_page=${options.limit}`,
+            token ? { "PRIVATE-TOKEN": token } : undefined,
+        );
+        return (releases ?? []).map((/** @type {any} */ release) => ({
+            tag: release.tag_name,
+            assets: (release.assets?.links ?? [])
+                .map((/** @type {{name: string, url: string, direct_asset_url?: string}} */ link) => ({
+                    name: link.name,
+                    url: link.direct_asset_url ?? link.url,
+                }))
+                .filter((/** @type {import('../../types').ForgeReleaseAsset} */ asset) => isReleaseAsset(asset.name)),
+        }));
+    },
+    async getRepository(repositoryUrl) {
+        const project = await fetchJson(getProjectApi(repositoryUrl), token ? { "PRIVATE-TOKEN": token } : undefined);
+        return project && { url: project.web_url, archived: !!project.archived };
+    },
+};
@@ -0,0 +1,45 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+
+/**
+ * Fetches and parses a JSON document, returning `undefined` for 404s
+ * @param {string} url
+ * @param {{[key: string]: string}} [headers]
+ * @returns {Promise<any>}
+ */
+exports.fetchJson = async (url, headers) => {
+    const response = await fetch(url, { headers: { Accept: "application/json", ...headers } });
+    if (response.status === 404) {
+        return undefined;
+    }
+    if (!response.ok) {
+        throw new Error(`GET ${url} failed: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+};
+
+/**
+ * Splits the path of a repository URL into its segments, without a trailing `.git`
+ * @param {URL} repositoryUrl
+ * @returns {string[]}
+ */
+exports.repositoryPath = (repositoryUrl) =>
+    repositoryUrl.pathname
+        .replace(/\.git$/, "")
+        .split("/")
+        .filter((segment) => !!segment);
+
+/**
+ * @param {string} name
+ * @returns {boolean} whether the release asset is a package, or an archive which may contain packages
+ */
+exports.isReleaseAsset = (name) => name.endsWith(".vsix") || name.endsWith(".zip");
@@ -0,0 +1,38 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const github = require("./github");
+const gitlab = require("./gitlab");
+const gitea = require("./gitea");
+const bitbucket = require("./bitbucket");
+
+/** @type {{[name: string]: import('../../types').ForgeProvider}} */
+const providers = { github, gitlab, gitea, bitbucket };
+
+/**
+ * Well-known hosts, self-hosted instances have to set `forge` in extensions.json
+ * @type {{[hostname: string]: string}}
+ */
+const hostnames = {
+    "github.com": "github",
+    "gitlab.com": "gitlab",
+    "codeberg.org": "gitea",
+    "gitea.com": "gitea",
+    "bitbucket.org": "bitbucket",
+};
+
+/**
+ * Returns the provider to look up the release assets and the status of the repository with
+ * @param {URL} repositoryUrl
+ * @param {string} [forge] overrides the provider inferred from the hostname
+ * @returns {import('../../types').ForgeProvider | undefined}
+ */
+exports.getForgeProvider = (repositoryUrl, forge) => providers[forge ?? hostnames[repositoryUrl.hostname]];
@@ -1,15 +1,14 @@
 import { PublishStat } from "../types";
-import { registryHost } from "./constants";
+import { msGalleryUrl, registryUrl } from "./constants";
 
 export const lineBreak = "\r\n";
 
 export const positionOf = (item: any, array: any[]): string => `${array.indexOf(item) + 1}.`;
 
-export const generateMicrosoftLink = (id: string) =>
-    `[${id}](https://marketplace.visualstudio.com/items?itemName=${id})`;
+export const generateMicrosoftLink = (id: string) => `[${id}](${msGalleryUrl}/items?itemName=${id})`;
 
 export const generateOpenVsxLink = (id: string) =>
-    `[${id}](https://${registryHost}/extension/${id.split(".")[0]}/${id.split(".")[1]})`;
+    `[${id}](${registryUrl}/extension/${id.split(".")[0]}/${id.split(".")[1]})`;
 
 export const calculatePercentage = (value: number, total: number): string => `${((value / total) * 100).toFixed(0)}%`;
 
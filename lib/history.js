@@ -0,0 +1,200 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+// The file is restored and saved between the scheduled runs, see .github/workflows/publish-extensions.yml
+const historyFile = process.env.STAT_HISTORY_FILE || "/tmp/stat-history.jsonl";
+
+/**
+ * Drop of the weighted parity from one run to the next which is reported as a regression, in percentage points
+ */
+const regressionThreshold = Number(process.env.PARITY_REGRESSION_THRESHOLD || "1") / 100;
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {{[id: string]: {msInstalls: number}}} extensions
+ * @returns {number}
+ */
+const sumInstalls = (extensions) => Object.values(extensions).reduce((sum, { msInstalls }) => sum + msInstalls, 0);
+
+/**
+ * Reduces the stats of a run to what the trends are computed from
+ * @param {import('../types').PublishStat} stat
+ * @param {Date} date of the run
+ * @returns {import('../types').HistoryRecord}
+ */
+function toHistoryRecord(stat, date) {
+    const upToDate = Object.keys(stat.upToDate);
+    const installs =
+        sumInstalls(stat.upToDate) +
+        sumInstalls(stat.notInOpen) +
+        sumInstalls(stat.outdated) +
+        sumInstalls(stat.unstable);
+    /** @type {import('../types').HistoryRecord["mirrored"]} */
+    const mirrored = {};
+    for (const [id, { msVersion, openVersion, daysInBetween }] of Object.entries(stat.hitMiss)) {
+        if (openVersion === msVersion && typeof daysInBetween === "number" && daysInBetween >= 0) {
+            mirrored[id] = { msVersion, daysInBetween };
+        }
+    }
+    return {
+        date: date.toISOString(),
+        total:
+            upToDate.length +
+            Object.keys(stat.notInOpen).length +
+            Object.keys(stat.outdated).length +
+            Object.keys(stat.unstable).length +
+            stat.notInMS.length,
+        upToDate: upToDate.length,
+        weightedParity: installs ? sumInstalls(stat.upToDate) / installs : 0,
+        broken: [...new Set([...stat.failed, ...stat.timedOut])].sort(),
+        upToDateIds: upToDate.sort(),
+        mirrored,
+    };
+}
+
+/**
+ * Appends the stats of a run to the history
+ * @param {import('../types').PublishStat} stat
+ * @param {Date} [date] of the run, now by default
+ * @param {string} [file]
+ */
+async function appendToHistory(stat, date = new Date(), file = historyFile) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify(toHistoryRecord(stat, date)) + "\n", "utf-8");
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Promise<import('../types').HistoryRecord[]>} the runs from the oldest to the latest, none if there is no history yet
+ */
+async function readHistory(file = historyFile) {
+    /** @type {string} */
+    let content;
+    try {
+        content = await fs.promises.readFile(file, "utf-8");
+    } catch {
+        return [];
+    }
+    /** @type {import('../types').HistoryRecord[]} */
+    const records = [];
+    for (const line of content.split("\n")) {
+        try {
+            if (line.trim()) {
+                records.push(JSON.parse(line));
+            }
+        } catch {
+            // A run cut off while appending leaves a truncated line behind
+        }
+    }
+    return records.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {string} date ISO date
+ * @returns {string} the Monday of the week of `date`, as `YYYY-MM-DD`
+ */
+const weekOf = (date) => {
+    const day = new Date(date.slice(0, 10));
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * dayInMs).toISOString().slice(0, 10);
+};
+
+/**
+ * Averages the parity of the runs of each week
+ * @param {import('../types').HistoryRecord[]} records
+ * @returns {{week: string, runs: number, parity: number, weightedParity: number}[]} from the oldest week to the latest
+ */
+function parityByWeek(records) {
+    /** @type {Map<string, import('../types').HistoryRecord[]>} */
+    const weeks = new Map();
+    for (const record of records) {
+        const week = weekOf(record.date);
+        weeks.set(week, [...(weeks.get(week) ?? []), record]);
+    }
+    return [...weeks]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([week, runs]) => ({
+            week,
+            runs: runs.length,
+            parity: runs.reduce((sum, run) => sum + (run.total ? run.upToDate / run.total : 0), 0) / runs.length,
+            weightedParity: runs.reduce((sum, run) => sum + run.weightedParity, 0) / runs.length,
+        }));
+}
+
+/**
+ * @param {import('../types').HistoryRecord} previous
+ * @param {import('../types').HistoryRecord} current
+ * @returns {{broke: string[], recovered: string[]}} the extensions which failed in `current` but not in `previous`,
+ * and the ones which failed in `previous` and are up-to-date in `current`
+ */
+function compareRuns(previous, current) {
+    const brokenBefore = new Set(previous.broken);
+    const upToDate = new Set(current.upToDateIds);
+    return {
+        broke: current.broken.filter((id) => !brokenBefore.has(id)),
+        recovered: previous.broken.filter((id) => upToDate.has(id)),
+    };
+}
+
+/**
+ * The mean time it took to publish a new MS marketplace version to Open VSX, counting every version once
+ * @param {import('../types').HistoryRecord[]} records
+ * @returns {{days: number, versions: number} | undefined} `undefined` if no version was mirrored within the history
+ */
+function meanTimeToMirror(records) {
+    /** @type {Map<string, number>} */
+    const versions = new Map();
+    for (const record of records) {
+        for (const [id, { msVersion, daysInBetween }] of Object.entries(record.mirrored)) {
+            const key = `${id}@${msVersion}`;
+            if (!versions.has(key)) {
+                versions.set(key, daysInBetween);
+            }
+        }
+    }
+    if (versions.size === 0) {
+        return undefined;
+    }
+    return {
+        days: [...versions.values()].reduce((sum, days) => sum + days, 0) / versions.size,
+        versions: versions.size,
+    };
+}
+
+/**
+ * @param {import('../types').HistoryRecord[]} records
+ * @param {number} [threshold]
+ * @returns {{from: number, to: number} | undefined} the weighted parity of the previous and the latest run,
+ * if it dropped by more than `threshold` between them
+ */
+function findParityRegression(records, threshold = regressionThreshold) {
+    if (records.length < 2) {
+        return undefined;
+    }
+    const [previous, latest] = records.slice(-2);
+    return previous.weightedParity - latest.weightedParity > threshold
+        ? { from: previous.weightedParity, to: latest.weightedParity }
+        : undefined;
+}
+
+module.exports = {
+    historyFile,
+    toHistoryRecord,
+    appendToHistory,
+    readHistory,
+    parityByWeek,
+    compareRuns,
+    meanTimeToMirror,
+    findParityRegression,
+};
@@ -0,0 +1,222 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const parseSpdxExpression = require("spdx-expression-parse");
+const correctSpdx = require("spdx-correct");
+const readZip = require("@vscode/vsce/out/zip").readZip;
+
+/**
+ * OSI-approved licenses by their SPDX ID, see https://opensource.org/licenses.
+ * Only the ones extensions are published under, other valid SPDX IDs are classified as `nonOsi`.
+ */
+const osiApproved = new Set([
+    "0BSD",
+    "AFL-3.0",
+    "AGPL-3.0",
+    "AGPL-3.0-only",
+    "AGPL-3.0-or-later",
+    "Apache-2.0",
+    "Artistic-2.0",
+    "BSD-2-Clause",
+    "BSD-3-Clause",
+    "BSL-1.0",
+    "CDDL-1.0",
+    "ECL-2.0",
+    "EPL-1.0",
+    "EPL-2.0",
+    "EUPL-1.2",
+    "GPL-2.0",
+    "GPL-2.0-only",
+    "GPL-2.0-or-later",
+    "GPL-3.0",
+    "GPL-3.0-only",
+    "GPL-3.0-or-later",
+    "ISC",
+    "LGPL-2.1",
+    "LGPL-2.1-only",
+    "LGPL-2.1-or-later",
+    "LGPL-3.0",
+    "LGPL-3.0-only",
+    "LGPL-3.0-or-later",
+    "MIT",
+    "MIT-0",
+    "MPL-2.0",
+    "MS-PL",
+    "MS-RL",
+    "NCSA",
+    "OSL-3.0",
+    "PostgreSQL",
+    "Unlicense",
+    "UPL-1.0",
+    "Zlib",
+]);
+
+/**
+ * Phrases recognizing the license files of licenses whose package.json does not name them.
+ * Checked in order, so the more specific ones come first.
+ * @type {{id: string, pattern: RegExp}[]}
+ */
+const licenseTexts = [
+    { id: "AGPL-3.0", pattern: /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: "LGPL-3.0", pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: "LGPL-2.1", pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+    { id: "GPL-3.0", pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: "GPL-2.0", pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+    { id: "Apache-2.0", pattern: /Apache License\s+Version 2\.0/i },
+    { id: "MPL-2.0", pattern: /Mozilla Public License,? Version 2\.0/i },
+    { id: "EPL-2.0", pattern: /Eclipse Public License\s*-?\s*v(ersion)?\s*2\.0/i },
+    { id: "EPL-1.0", pattern: /Eclipse Public License\s*-?\s*v(ersion)?\s*1\.0/i },
+    { id: "Unlicense", pattern: /This is free and unencumbered software released into the public domain/i },
+    { id: "ISC", pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose/i },
+    { id: "MIT", pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+    { id: "BSD-3-Clause", pattern: /Redistribution and use in source and binary forms[\s\S]+Neither the name/i },
+    { id: "BSD-2-Clause", pattern: /Redistribution and use in source and binary forms/i },
+];
+
+/**
+ * Phrases of license files which do not allow redistributing the extension
+ */
+const proprietaryTexts = [
+    /MICROSOFT SOFTWARE LICENSE TERMS/i,
+    /END[- ]USER LICENSE AGREEMENT/i,
+    /\bproprietary\b/i,
+    /commercial license/i,
+];
+
+/**
+ * Names of license files at the root of an extension, see `vsce package`
+ */
+const licenseFilePattern = /^(LICEN[CS]E|COPYING)(\.(md|txt))?$/i;
+
+/**
+ * @param {any} node parsed SPDX expression
+ * @returns {boolean} whether the licenses the expression requires are OSI-approved
+ */
+function isOsiApproved(node) {
+    if (node.license) {
+        return osiApproved.has(node.license);
+    }
+    return node.conjunction === "or"
+        ? isOsiApproved(node.left) || isOsiApproved(node.right)
+        : isOsiApproved(node.left) && isOsiApproved(node.right);
+}
+
+/**
+ * Maps the `license` of package.json to an SPDX expression, correcting common misspellings like `Apache 2`
+ * @param {string} license
+ * @returns {{spdx: string, osi: boolean} | undefined} `undefined` if it is no SPDX expression
+ */
+function parseLicense(license) {
+    for (const candidate of [license, correctSpdx(license)]) {
+        if (!candidate) {
+            continue;
+        }
+        try {
+            return { spdx: candidate, osi: isOsiApproved(parseSpdxExpression(candidate)) };
+        } catch {}
+    }
+    return undefined;
+}
+
+/**
+ * @param {string} text
+ * @returns {{spdx?: string, category: import('../types').LicenseCategory}}
+ */
+function classifyLicenseText(text) {
+    const known = licenseTexts.find(({ pattern }) => pattern.test(text));
+    if (known) {
+        return { spdx: known.id, category: osiApproved.has(known.id) ? "osi" : "nonOsi" };
+    }
+    if (proprietaryTexts.some((pattern) => pattern.test(text))) {
+        return { category: "proprietary" };
+    }
+    return { category: "unknown" };
+}
+
+/**
+ * Reads the license file of the package, or of the sources if it was not packaged
+ * @param {string} extensionFile
+ * @param {string | undefined} packagePath
+ * @param {string | undefined} name the file `SEE LICENSE IN` of package.json points to
+ * @returns {Promise<{file: string, text: string} | undefined>}
+ */
+async function readLicenseFile(extensionFile, packagePath, name) {
+    const matches = (/** @type {string} */ file) =>
+        name ? path.posix.normalize(file) === path.posix.normalize(name) : licenseFilePattern.test(file);
+    /** @type {Map<string, Buffer>} */
+    const files = await readZip(extensionFile, (/** @type {string} */ file) =>
+        file.startsWith("extension/") ? matches(file.slice("extension/".length)) : false,
+    );
+    const [packaged] = files;
+    if (packaged) {
+        return { file: packaged[0], text: packaged[1].toString("utf-8") };
+    }
+    if (packagePath && fs.existsSync(packagePath)) {
+        const file = (await fs.promises.readdir(packagePath)).find(matches);
+        if (file) {
+            return { file, text: await fs.promises.readFile(path.join(packagePath, file), "utf-8") };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Classifies the license of the package by the `license` of its package.json and by its license file
+ * @param {string} extensionFile
+ * @param {any} manifest the package.json of the package
+ * @param {string | undefined} packagePath the sources the package was built from, if any
+ * @returns {Promise<import('../types').LicenseClassification>}
+ */
+async function classifyLicense(extensionFile, manifest, packagePath) {
+    /** @type {string | undefined} */
+    const manifestLicense = typeof manifest.license === "string" ? manifest.license : manifest.license?.type;
+    const seeLicenseIn = manifestLicense?.match(/^SEE LICENSE IN (.+)$/i)?.[1].trim();
+    const licenseFile = await readLicenseFile(extensionFile, packagePath, seeLicenseIn);
+
+    if (manifestLicense && !seeLicenseIn) {
+        if (manifestLicense.toUpperCase() === "UNLICENSED") {
+            return { category: "proprietary", manifestLicense, licenseFile: licenseFile?.file };
+        }
+        const parsed = parseLicense(manifestLicense);
+        if (parsed) {
+            return {
+                category: parsed.osi ? "osi" : "nonOsi",
+                spdx: parsed.spdx,
+                manifestLicense,
+                licenseFile: licenseFile?.file,
+            };
+        }
+    }
+    if (licenseFile) {
+        return { ...classifyLicenseText(licenseFile.text), manifestLicense, licenseFile: licenseFile.file };
+    }
+    return { category: manifestLicense ? "unknown" : "missing", manifestLicense };
+}
+
+/**
+ * @param {import('../types').LicenseClassification} classification
+ * @returns {string}
+ */
+const describeLicense = ({ spdx, manifestLicense, licenseFile }) =>
+    spdx ?? manifestLicense ?? licenseFile ?? "no license";
+
+/**
+ * Whether the license is on the `allowedLicenses` of the extension, by its SPDX expression or the `license` of package.json
+ * @param {import('../types').LicenseClassification} classification
+ * @param {import('../types').Extension} extension
+ * @returns {boolean}
+ */
+const isAllowedLicense = ({ spdx, manifestLicense }, extension) =>
+    !!extension.allowedLicenses?.some((allowed) => allowed === spdx || allowed === manifestLicense);
+
+module.exports = { classifyLicense, classifyLicenseText, parseLicense, describeLicense, isAllowedLicense };
@@ -0,0 +1,282 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const semver = require("semver");
+const readVSIXPackage = require("@vscode/vsce/out/zip").readVSIXPackage;
+const { ExtensionQueryFilterType } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
+
+// Path of the MS marketplace stand-in, the Open VSX one is served from the root
+const marketplacePrefix = "/marketplace";
+
+/**
+ * A package stored in the directory of the registry
+ * @typedef {{namespace: string, name: string, version: string, targetPlatform: string, preRelease: boolean, extensionDependencies: string[], extensionPack: string[], lastUpdated: Date, file: string}} StoredPackage
+ */
+
+/**
+ * Namespaces, names and versions end up in paths, so only what identifiers of extensions consist of is accepted
+ * @param {string | undefined} segment
+ * @returns {boolean}
+ */
+const isSafeSegment = (segment) => !!segment && /^[\w.-]+$/.test(segment) && segment !== "." && segment !== "..";
+
+/**
+ * @param {string} file
+ * @returns {Promise<StoredPackage>}
+ */
+async function readPackage(file) {
+    const { manifest, xmlManifest } = await readVSIXPackage(file);
+    const metadata = xmlManifest?.PackageManifest?.Metadata[0];
+    const preRelease = metadata?.Properties?.[0]?.Property?.some(
+        (/** @type {any} */ property) =>
+            property.$.Id === "Microsoft.VisualStudio.Code.PreRelease" && property.$.Value === "true",
+    );
+    const { mtime } = await fs.promises.stat(file);
+    return {
+        namespace: manifest.publisher,
+        name: manifest.name,
+        version: metadata?.Identity[0]?.$?.Version ?? manifest.version,
+        targetPlatform: metadata?.Identity[0]?.$?.TargetPlatform ?? "universal",
+        preRelease: !!preRelease,
+        extensionDependencies: manifest.extensionDependencies ?? [],
+        extensionPack: manifest.extensionPack ?? [],
+        lastUpdated: mtime,
+        file,
+    };
+}
+
+/**
+ * Lists the packages of an extension, the latest version first
+ * @param {string} root
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {Promise<StoredPackage[]>}
+ */
+async function listPackages(root, namespace, name) {
+    const directory = path.join(root, namespace.toLowerCase(), name.toLowerCase());
+    /** @type {string[]} */
+    let files;
+    try {
+        files = (await fs.promises.readdir(directory)).filter((file) => file.endsWith(".vsix"));
+    } catch {
+        return [];
+    }
+    const packages = await Promise.all(files.map((file) => readPackage(path.join(directory, file))));
+    return packages.sort(
+        (a, b) => semver.rcompare(a.version, b.version) || b.lastUpdated.getTime() - a.lastUpdated.getTime(),
+    );
+}
+
+/**
+ * Answers a gallery query the way the MS marketplace and the `/vscode` API of Open VSX do, only looking up extensions by their ID
+ * @param {string} root
+ * @param {any} query
+ */
+async function queryGallery(root, query) {
+    const criteria = query?.filters?.[0]?.criteria ?? [];
+    const extensions = [];
+    for (const { filterType, value } of criteria) {
+        const [namespace, name] = String(value).split(".");
+        if (filterType !== ExtensionQueryFilterType.Name || !isSafeSegment(namespace) || !isSafeSegment(name)) {
+            continue;
+        }
+        const packages = await listPackages(root, namespace, name);
+        if (packages.length === 0) {
+            continue;
+        }
+        extensions.push({
+            publisher: { publisherName: packages[0].namespace, displayName: packages[0].namespace },
+            extensionName: packages[0].name,
+            displayName: packages[0].name,
+            versions: packages.map((stored) => ({
+                version: stored.version,
+                targetPlatform: stored.targetPlatform === "universal" ? undefined : stored.targetPlatform,
+                lastUpdated: stored.lastUpdated.toISOString(),
+                properties: [
+                    ...(stored.preRelease ? [{ key: "Microsoft.VisualStudio.Code.PreRelease", value: "true" }] : []),
+                    {
+                        key: "Microsoft.VisualStudio.Code.ExtensionDependencies",
+                        value: stored.extensionDependencies.join(","),
+                    },
+                    { key: "Microsoft.VisualStudio.Code.ExtensionPack", value: stored.extensionPack.join(",") },
+                ],
+            })),
+            statistics: [{ statisticName: "install", value: 0 }],
+        });
+    }
+    return { results: [{ extensions, resultMetadata: [] }] };
+}
+
+/**
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Stores a package published with `ovsx publish`, the namespace has to be created first like on Open VSX
+ * @param {string} root
+ * @param {Buffer} body
+ */
+async function publishPackage(root, body) {
+    const upload = path.join(await fs.promises.mkdtemp(path.join(os.tmpdir(), "mock-registry-")), "upload.vsix");
+    try {
+        await fs.promises.writeFile(upload, body);
+        const uploaded = await readPackage(upload);
+        const { namespace, name, version, targetPlatform } = uploaded;
+        if (!isSafeSegment(namespace) || !isSafeSegment(name) || !isSafeSegment(version)) {
+            return { status: 400, body: { error: `Invalid extension identifier: ${namespace}.${name}@${version}` } };
+        }
+        if (!fs.existsSync(path.join(root, namespace.toLowerCase()))) {
+            return { status: 400, body: { error: `Unknown publisher: ${namespace}` } };
+        }
+        const published = await listPackages(root, namespace, name);
+        if (published.some((stored) => stored.version === version && stored.targetPlatform === targetPlatform)) {
+            return {
+                status: 400,
+                body: { error: `Extension ${namespace}.${name} ${version} (${targetPlatform}) is already published.` },
+            };
+        }
+        const directory = path.join(root, namespace.toLowerCase(), name.toLowerCase());
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.copyFile(upload, path.join(directory, `${version}@${targetPlatform}.vsix`));
+        console.log(`Published ${namespace}.${name} ${version} (${targetPlatform})`);
+        return { status: 201, body: { namespace, name, version, targetPlatform } };
+    } finally {
+        await fs.promises.rm(path.dirname(upload), { recursive: true, force: true });
+    }
+}
+
+/**
+ * Creates a stand-in for Open VSX and the MS marketplace, which stores the packages in `directory`:
+ * - Open VSX, served from the root: the gallery query at `/vscode/gallery/extensionquery`, creating namespaces, publishing and the metadata of extensions at `/api`.
+ *   Packages are stored as `<directory>/open-vsx/<namespace>/<name>/<version>@<target>.vsix`.
+ * - The MS marketplace, served from `/marketplace`: the gallery query and downloading packages.
+ *   Put the packages into `<directory>/marketplace/<publisher>/<name>/` to make them show up there.
+ * Tokens are not checked.
+ * @param {string} directory
+ * @returns {http.Server}
+ */
+exports.createMockRegistry = (directory) => {
+    const openVsxRoot = path.join(directory, "open-vsx");
+    const marketplaceRoot = path.join(directory, "marketplace");
+    fs.mkdirSync(openVsxRoot, { recursive: true });
+    fs.mkdirSync(marketplaceRoot, { recursive: true });
+
+    return http.createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url ?? "/", "http://localhost");
+            const segments = url.pathname.split("/").filter((segment) => !!segment);
+            const route = `${request.method} ${url.pathname}`;
+
+            if (route === `POST ${marketplacePrefix}/_apis/public/gallery/extensionquery`) {
+                return sendJson(
+                    response,
+                    200,
+                    await queryGallery(marketplaceRoot, JSON.parse(String(await readBody(request)))),
+                );
+            }
+            // /marketplace/_apis/public/gallery/publishers/<publisher>/vsextensions/<name>/<version>/vspackage
+            if (
+                request.method === "GET" &&
+                url.pathname.startsWith(`${marketplacePrefix}/_apis/public/gallery/publishers/`)
+            ) {
+                const [publisher, , name, version] = segments.slice(5);
+                const target = url.searchParams.get("targetPlatform") ?? "universal";
+                const stored =
+                    isSafeSegment(publisher) && isSafeSegment(name)
+                        ? (await listPackages(marketplaceRoot, publisher, name)).find(
+                              (candidate) => candidate.version === version && candidate.targetPlatform === target,
+                          )
+                        : undefined;
+                if (!stored) {
+                    return sendJson(response, 404, { error: `${publisher}.${name} ${version} (${target}) not found` });
+                }
+                response.writeHead(200, { "Content-Type": "application/octet-stream" });
+                return fs.createReadStream(stored.file).pipe(response);
+            }
+
+            if (route === "POST /vscode/gallery/extensionquery") {
+                return sendJson(
+                    response,
+                    200,
+                    await queryGallery(openVsxRoot, JSON.parse(String(await readBody(request)))),
+                );
+            }
+            if (route === "GET /api/version") {
+                return sendJson(response, 200, { version: "mock" });
+            }
+            if (route === "POST /api/-/namespace/create") {
+                const { name } = JSON.parse(String(await readBody(request)));
+                if (!isSafeSegment(name)) {
+                    return sendJson(response, 400, { error: `Invalid namespace name: ${name}` });
+                }
+                const namespaceDirectory = path.join(openVsxRoot, name.toLowerCase());
+                if (fs.existsSync(namespaceDirectory)) {
+                    return sendJson(response, 400, { error: `Namespace already exists: ${name}` });
+                }
+                await fs.promises.mkdir(namespaceDirectory);
+                return sendJson(response, 201, { success: `Created namespace ${name}` });
+            }
+            if (route === "POST /api/-/publish") {
+                const { status, body } = await publishPackage(openVsxRoot, await readBody(request));
+                return sendJson(response, status, body);
+            }
+            // /api/<namespace>/<name>
+            if (request.method === "GET" && segments[0] === "api" && segments.length === 3) {
+                const [, namespace, name] = segments;
+                const packages =
+                    isSafeSegment(namespace) && isSafeSegment(name)
+                        ? await listPackages(openVsxRoot, namespace, name)
+                        : [];
+                if (packages.length === 0) {
+                    return sendJson(response, 404, { error: `Extension not found: ${namespace}.${name}` });
+                }
+                const [latest] = packages;
+                return sendJson(response, 200, {
+                    namespace: latest.namespace,
+                    name: latest.name,
+                    version: latest.version,
+                    targetPlatform: latest.targetPlatform,
+                    preRelease: latest.preRelease,
+                    timestamp: latest.lastUpdated.toISOString(),
+                });
+            }
+
+            sendJson(response, 404, { error: `${route} is not supported by the mock registry` });
+        } catch (error) {
+            console.error(error);
+            sendJson(response, 500, { error: String(error) });
+        }
+    });
+};
+
+exports.marketplacePrefix = marketplacePrefix;
@@ -0,0 +1,109 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Lock files by the package manager they belong to, checked in this order in every directory
+ * @type {[import('../types').PackageManager, string][]}
+ */
+const lockFiles = [
+    ["pnpm", "pnpm-lock.yaml"],
+    ["bun", "bun.lock"],
+    ["bun", "bun.lockb"],
+    ["yarn", "yarn.lock"],
+    ["npm", "package-lock.json"],
+    ["npm", "npm-shrinkwrap.json"],
+];
+
+/**
+ * Dev dependencies bundling the extension, so that its dependencies do not have to be packaged
+ */
+const bundlers = ["esbuild", "webpack", "rollup", "vite", "tsup", "@vercel/ncc", "parcel"];
+
+/**
+ * Install commands by package manager.
+ * pnpm links its dependencies, which `vsce` cannot list, so they are installed flat like npm does.
+ * @type {{[manager in import('../types').PackageManager]: (bundled: boolean) => string}}
+ */
+const installCommands = {
+    npm: () => "npm install",
+    yarn: () => "yarn install",
+    pnpm: (bundled) => (bundled ? "pnpm install" : "pnpm install --config.node-linker=hoisted"),
+    bun: () => "bun install",
+};
+
+/**
+ * @param {string} directory
+ * @returns {boolean} whether the directory is the root of a workspace, by the `workspaces` of its package.json or a pnpm-workspace.yaml
+ */
+function isWorkspaceRoot(directory) {
+    if (fs.existsSync(path.join(directory, "pnpm-workspace.yaml"))) {
+        return true;
+    }
+    try {
+        return !!JSON.parse(fs.readFileSync(path.join(directory, "package.json"), "utf-8")).workspaces;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Finds the package manager of the extension by the lock file closest to it, up to the root of the repository
+ * @param {string} repoPath
+ * @param {string} packagePath the directory of the extension's package.json
+ * @returns {{manager: import('../types').PackageManager, installPath: string}} npm installing in `packagePath` if there is no lock file.
+ * `installPath` is the root of the workspace if the extension is part of one, `packagePath` otherwise.
+ */
+function detectPackageManager(repoPath, packagePath) {
+    let directory = packagePath;
+    while (true) {
+        const lockFile = lockFiles.find(([, file]) => fs.existsSync(path.join(directory, file)));
+        if (lockFile) {
+            const manager = lockFile[0];
+            return {
+                manager,
+                installPath: directory !== packagePath && isWorkspaceRoot(directory) ? directory : packagePath,
+            };
+        }
+        if (!path.relative(repoPath, directory) || directory === path.dirname(directory)) {
+            return { manager: "npm", installPath: packagePath };
+        }
+        directory = path.dirname(directory);
+    }
+}
+
+/**
+ * @param {any} manifest the package.json of the extension
+ * @returns {boolean} whether the extension is bundled, or has no dependencies to package anyway
+ */
+const isBundled = (manifest) =>
+    Object.keys(manifest.dependencies ?? {}).length === 0 ||
+    bundlers.some((bundler) => !!manifest.devDependencies?.[bundler]);
+
+/**
+ * How to install the dependencies of the extension and package them with `vsce`
+ * @param {import('../types').PackageManager} manager
+ * @param {any} manifest the package.json of the extension
+ * @returns {{install: string, useYarn: boolean, dependencies: boolean}} `dependencies` is `false` for `--no-dependencies`,
+ * which bundled extensions of pnpm and bun use, since `vsce` only knows how to list the dependencies installed by npm and yarn
+ */
+function getPackaging(manager, manifest) {
+    const bundled = isBundled(manifest);
+    return {
+        install: installCommands[manager](bundled),
+        useYarn: manager === "yarn",
+        dependencies: !(bundled && (manager === "pnpm" || manager === "bun")),
+    };
+}
+
+module.exports = { detectPackageManager, getPackaging };
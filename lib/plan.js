@@ -0,0 +1,46 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+
+/** @type {{[action in import('../types').PlanAction]: string}} */
+const actionTitles = {
+    "publish-from-release": "Publish from release",
+    build: "Build",
+    unresolved: "Unresolved",
+    "skip-unstable": "Skip (unstable)",
+    "skip-up-to-date": "Skip (up-to-date)",
+};
+
+/**
+ * Renders the plan as a Markdown table, grouped by action
+ * @param {import('../types').PlanEntry[]} plan
+ * @returns {string}
+ */
+const formatPlan = (plan) => {
+    const lines = ["# Plan", ""];
+    for (const [action, title] of Object.entries(actionTitles)) {
+        const entries = plan.filter((entry) => entry.action === action);
+        lines.push(`- ${title}: ${entries.length}`);
+    }
+    for (const [action, title] of Object.entries(actionTitles)) {
+        const entries = plan.filter((entry) => entry.action === action);
+        if (!entries.length) {
+            continue;
+        }
+        lines.push("", `## ${title}`, "", "| Extension | Channel | Version | Reason |", "| --- | --- | --- | --- |");
+        for (const entry of entries) {
+            lines.push(`| ${entry.id} | ${entry.channel} | ${entry.version ?? "N/A"} | ${entry.reason} |`);
+        }
+    }
+    return lines.join("\n") + "\n";
+};
+
+exports.formatPlan = formatPlan;
@@ -0,0 +1,104 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * @param {string} extensionFile
+ * @returns {string} the path of the provenance document of the package, next to it
+ */
+const getProvenanceFile = (extensionFile) => `${extensionFile.replace(/\.vsix$/, "")}.provenance.json`;
+
+// The branch of this repository the provenance documents of the published packages are committed to, see publish-provenance.js
+const provenanceBranch = "provenance";
+
+/**
+ * @param {import('../types').Provenance} provenance
+ * @returns {string} the path of the provenance document on the `provenance` branch
+ */
+const getPublishedProvenancePath = ({ id, version, target }) => `${id.toLowerCase()}/${version}/${target}.json`;
+
+/**
+ * @param {string} file
+ * @returns {Promise<string>} the hex encoded SHA-256 of the file
+ */
+const hashFile = async (file) => {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of fs.createReadStream(file)) {
+        hash.update(chunk);
+    }
+    return hash.digest("hex");
+};
+
+/**
+ * Writes the provenance document of the package, the hash of the package and the time of the build are added to it
+ * @param {string} extensionFile
+ * @param {Omit<import('../types').Provenance, "sha256" | "builtAt" | "buildRun">} provenance
+ * @returns {Promise<import('../types').Provenance>}
+ */
+const writeProvenance = async (extensionFile, provenance) => {
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+    /** @type {import('../types').Provenance} */
+    const document = {
+        ...provenance,
+        sha256: await hashFile(extensionFile),
+        builtAt: new Date().toISOString(),
+        buildRun:
+            GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID
+                ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`
+                : undefined,
+    };
+    await fs.promises.writeFile(getProvenanceFile(extensionFile), JSON.stringify(document, undefined, 2), "utf-8");
+    return document;
+};
+
+/**
+ * Reads the provenance document of the package and checks that it was written for this very package
+ * @param {string} extensionFile
+ * @returns {Promise<import('../types').Provenance | undefined>} `undefined` if the package has none
+ */
+const readProvenance = async (extensionFile) => {
+    const file = getProvenanceFile(extensionFile);
+    if (!fs.existsSync(file)) {
+        return undefined;
+    }
+    /** @type {import('../types').Provenance} */
+    const provenance = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+    const sha256 = await hashFile(extensionFile);
+    if (provenance.sha256 !== sha256) {
+        throw new Error(
+            `The provenance document ${file} was written for a package with SHA-256 ${provenance.sha256}, but ${extensionFile} has ${sha256}`,
+        );
+    }
+    return provenance;
+};
+
+/**
+ * Records in the provenance document of the package where it was published to
+ * @param {string} extensionFile
+ * @param {import('../types').Provenance} provenance
+ * @param {string} registryUrl
+ */
+const markPublished = async (extensionFile, provenance, registryUrl) => {
+    provenance.published = { registryUrl, publishedAt: new Date().toISOString() };
+    await fs.promises.writeFile(getProvenanceFile(extensionFile), JSON.stringify(provenance, undefined, 2), "utf-8");
+};
+
+module.exports = {
+    provenanceBranch,
+    getProvenanceFile,
+    getPublishedProvenancePath,
+    hashFile,
+    writeProvenance,
+    readProvenance,
+    markPublished,
+};
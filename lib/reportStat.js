@@ -10,11 +10,10 @@
 
 // @ts-check
 const fs = require("fs");
-const { getPublicGalleryAPI } = require("@vscode/vsce/out/util");
 const { PublicGalleryAPI } = require("@vscode/vsce/out/publicgalleryapi");
 const { ExtensionQueryFlags } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
 const humanNumber = require("human-number");
-const { registryHost } = require("./constants");
+const { registryUrl, msGalleryUrl } = require("./constants");
 
 const formatter = (/** @type {number} */ number) => {
     if (number === undefined) {
@@ -33,11 +32,11 @@ const formatter = (/** @type {number} */ number) => {
     return formatted;
 };
 
-const msGalleryApi = getPublicGalleryAPI();
+const msGalleryApi = new PublicGalleryAPI(msGalleryUrl, "3.0-preview.1");
 msGalleryApi.client["_allowRetries"] = true;
 msGalleryApi.client["_maxRetries"] = 5;
 
-const openGalleryApi = new PublicGalleryAPI(`https://${registryHost}/vscode`, "3.0-preview.1");
+const openGalleryApi = new PublicGalleryAPI(`${registryUrl}/vscode`, "3.0-preview.1");
 openGalleryApi.client["_allowRetries"] = true;
 openGalleryApi.client["_maxRetries"] = 5;
 openGalleryApi.post = (
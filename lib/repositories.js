@@ -0,0 +1,161 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const exec = require("./exec");
+const { workspaceDirectory } = require("./constants");
+
+// Extensions of the same repository share one clone, and check out the refs they need as worktrees of it
+const repositoriesDirectory = path.join(workspaceDirectory, ".repositories");
+
+/**
+ * Clones by repository, so that each repository is cloned once per run even if several extensions are processed at once
+ * @type {Map<string, Promise<string>>}
+ */
+const clones = new Map();
+
+/**
+ * Checkouts to build from by their directory, see `checkoutForBuild`
+ * @type {Map<string, Promise<string>>}
+ */
+const buildCheckouts = new Map();
+
+/**
+ * The environment variables dependencies have been installed with, by the directory in a checkout to build from
+ * @type {Map<string, Set<string>>}
+ */
+const installations = new Map();
+
+/**
+ * Normalizes the repository URL, so that the entries of a monorepo can be grouped by it
+ * @param {string} repository
+ * @returns {string}
+ */
+const getRepositoryKey = (repository) =>
+    repository
+        .trim()
+        .toLowerCase()
+        .replace(/\/+$/, "")
+        .replace(/\.git$/, "");
+
+/**
+ * @param {string} repository
+ * @returns {string} the directory the repository is cloned to
+ */
+const getCloneDirectory = (repository) =>
+    path.join(
+        repositoriesDirectory,
+        crypto.createHash("sha256").update(getRepositoryKey(repository)).digest("hex").slice(0, 16),
+    );
+
+/**
+ * Clones the repository without checking anything out, unless it has been cloned already
+ * @param {string} repository
+ * @returns {Promise<string>} the directory of the clone
+ */
+const cloneRepository = (repository) => {
+    const directory = getCloneDirectory(repository);
+    let clone = clones.get(directory);
+    if (!clone) {
+        clone = (async () => {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+            await exec(`git clone --filter=blob:none --no-checkout ${repository} ${directory}`, { quiet: true });
+            return directory;
+        })();
+        // Let the next extension of the repository try again
+        clone.catch(() => clones.delete(directory));
+        clones.set(directory, clone);
+    }
+    return clone;
+};
+
+/**
+ * Checks out `ref` of the repository into `directory`, as a worktree of the clone shared by the extensions of the repository
+ * @param {string} repository
+ * @param {string} directory
+ * @param {string} [ref]
+ */
+const addWorktree = async (repository, directory, ref = "HEAD") => {
+    const clone = await cloneRepository(repository);
+    // Forget the worktrees whose directories have been removed by `cleanWorkspace`
+    await exec("git worktree prune", { cwd: clone, quiet: true });
+    await exec(`git worktree add --force --detach ${directory} ${ref}`, { cwd: clone, quiet: true });
+    if (fs.existsSync(path.join(directory, ".gitmodules"))) {
+        await exec("git submodule update --init --recursive --quiet", { cwd: directory, quiet: true });
+    }
+};
+
+/**
+ * Returns a checkout of `ref` to build from, shared by all extensions of the repository built from the same ref.
+ * The dependencies installed in it are reused by those extensions, see `buildVersion`.
+ * What earlier builds changed in it is reverted, and the packages they left are removed, so that they can't be taken for
+ * the package of the next extension. Untracked files other than packages, like installed dependencies, are kept.
+ * @param {string} repository
+ * @param {string} ref
+ * @returns {Promise<string>} the directory of the checkout
+ */
+const checkoutForBuild = async (repository, ref) => {
+    const directory = path.join(getCloneDirectory(repository) + "-checkouts", ref.replace(/[^\w.-]/g, "_"));
+    let checkout = buildCheckouts.get(directory);
+    if (!checkout) {
+        checkout = (async () => {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+            await addWorktree(repository, directory, ref);
+            return directory;
+        })();
+        checkout.catch(() => buildCheckouts.delete(directory));
+        buildCheckouts.set(directory, checkout);
+        return checkout;
+    }
+    await checkout;
+    await exec("git reset --hard --quiet", { cwd: directory, quiet: true });
+    await exec("git clean -f -d -x --quiet -- '*.vsix'", { cwd: directory, quiet: true });
+    return directory;
+};
+
+/**
+ * Runs `install` in `directory` of a checkout to build from, unless it ran there with the same environment variables already
+ * @param {string} directory
+ * @param {{[key: string]: string} | undefined} env
+ * @param {() => Promise<unknown>} install
+ * @returns {Promise<boolean>} whether `install` ran
+ */
+const installOnce = async (directory, env, install) => {
+    const key = JSON.stringify(env ?? {});
+    if (installations.get(directory)?.has(key)) {
+        return false;
+    }
+    await install();
+    installations.set(directory, (installations.get(directory) ?? new Set()).add(key));
+    return true;
+};
+
+/**
+ * Removes the clone of the repository and the checkouts to build from, once all of its extensions are processed
+ * @param {string} repository
+ */
+const removeRepository = async (repository) => {
+    const directory = getCloneDirectory(repository);
+    clones.delete(directory);
+    for (const checkouts of [buildCheckouts, installations]) {
+        for (const checkout of checkouts.keys()) {
+            if (checkout.startsWith(directory + "-checkouts")) {
+                checkouts.delete(checkout);
+            }
+        }
+    }
+    await fs.promises.rm(directory, { recursive: true, force: true });
+    await fs.promises.rm(directory + "-checkouts", { recursive: true, force: true });
+};
+
+module.exports = { getRepositoryKey, addWorktree, checkoutForBuild, installOnce, removeRepository };
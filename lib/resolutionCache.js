@@ -0,0 +1,80 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const exec = require("./exec");
+
+// The directory is restored and saved between the scheduled runs, see .github/workflows/publish-extensions.yml
+const cacheDirectory = process.env.RESOLUTION_CACHE_DIR || "/tmp/resolution-cache";
+const invalidate = process.env.INVALIDATE_RESOLUTION_CACHE === "true";
+
+/**
+ * @param {string} id
+ * @param {boolean} preRelease
+ */
+const entryPath = (id, preRelease) => path.join(cacheDirectory, `${id}${preRelease ? "@pre-release" : ""}.json`);
+
+/**
+ * Returns the sha `HEAD` of the remote repository points to, without cloning it
+ * @param {string} repository
+ * @returns {Promise<string | undefined>}
+ */
+const getRemoteHead = async (repository) => {
+    try {
+        const { stdout } = await exec(`git ls-remote ${repository} HEAD`, { quiet: true });
+        return stdout.split(/\s/)[0] || undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Returns the resolution cached for `key`, unless anything it depends on has changed since
+ * @param {string} id
+ * @param {import('../types').ResolutionCacheKey} key
+ * @returns {Promise<import('../types').ResolutionCacheEntry | undefined>}
+ */
+const readCachedResolution = async (id, key) => {
+    if (invalidate) {
+        return undefined;
+    }
+    /** @type {import('../types').ResolutionCacheEntry} */
+    let entry;
+    try {
+        entry = JSON.parse(await fs.promises.readFile(entryPath(id, !!key.preRelease), "utf-8"));
+    } catch {
+        return undefined;
+    }
+    if (
+        entry.repository !== key.repository ||
+        entry.location !== key.location ||
+        entry.head !== key.head ||
+        entry.msVersion !== key.msVersion ||
+        entry.releaseTag !== key.releaseTag
+    ) {
+        return undefined;
+    }
+    return entry;
+};
+
+/**
+ * @param {string} id
+ * @param {import('../types').ResolutionCacheEntry} entry
+ */
+const writeCachedResolution = async (id, entry) => {
+    await fs.promises.mkdir(cacheDirectory, { recursive: true });
+    await fs.promises.writeFile(entryPath(id, !!entry.preRelease), JSON.stringify(entry, undefined, 2), "utf-8");
+};
+
+exports.getRemoteHead = getRemoteHead;
+exports.readCachedResolution = readCachedResolution;
+exports.writeCachedResolution = writeCachedResolution;
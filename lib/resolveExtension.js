@@ -1,82 +1,228 @@
 // @ts-check
 const fs = require("fs");
 const path = require("path");
-const Octokit = require("octokit").Octokit;
+const { pipeline } = require("stream/promises");
+const yauzl = require("yauzl-promise");
 const readVSIXPackage = require("@vscode/vsce/out/zip").readVSIXPackage;
 const download = require("download");
 const exec = require("./exec");
-const { repoPath } = require("./constants");
+const { getWorkspace } = require("./workspace");
+const { getRemoteHead, readCachedResolution, writeCachedResolution } = require("./resolutionCache");
+const { getForgeProvider } = require("./forges");
+const { addWorktree } = require("./repositories");
+const { ExtensionError, FailureReason, withFailureReason } = require("./failures");
+const { downloadFromMarketplace } = require("./verifyVSIX");
+const { hashFile } = require("./provenance");
 
-const token = process.env.GITHUB_TOKEN;
-if (!token) {
-    console.warn("GITHUB_TOKEN env var is not set. Skipping lookup from releases");
-}
-const octokit = new Octokit({ auth: token });
+// Releases looked through for the assets of the MS marketplace version, the most recent first
+const releasesToScan = 5;
 
 /**
  *
  * @param {Readonly<import('../types').Extension>} extension
  * @param {{version: string, lastUpdated: Date} | undefined} [ms]
+ * @param {{preRelease?: boolean, cache?: boolean, forgeProvider?: import('../types').ForgeProvider, downloadFromMarketplace?: typeof downloadFromMarketplace}} [options] `preRelease` also looks up releases marked as pre-releases,
+ * `cache` reuses the last resolution if neither the repository, its latest release nor the MS marketplace version changed since. Neither the release assets are downloaded nor the repository is cloned then,
+ * so `path` is empty and the build checks out the resolved ref itself.
+ * `forgeProvider` looks up the release assets in place of the provider of the repository's forge, e.g. in tests.
+ * `downloadFromMarketplace` fetches the MS marketplace packages the release assets are verified against, e.g. in tests.
  * @returns {Promise<import('../types').ResolvedExtension | undefined>}
  */
-exports.resolveExtension = async function ({ id, repository, location }, ms) {
-    if (!repository) throw TypeError("repository URL not supplied");
+exports.resolveExtension = async function ({ id, repository, location, forge, msMarketplaceIdOverride }, ms, options) {
+    if (!repository) throw new ExtensionError(FailureReason.resolve, "repository URL not supplied");
 
+    const workspace = getWorkspace(id);
+    const repoPath = workspace.repository;
     const repositoryUrl = new URL(repository);
-    const [owner, repo] = repositoryUrl.pathname.slice(1).split("/");
+    const forgeProvider = options?.forgeProvider ?? getForgeProvider(repositoryUrl, forge);
 
-    //#region check latest release assets
+    //#region look up releases
+    /** @type {import('../types').ForgeRelease[]} */
+    let releases = [];
+    if (ms && forgeProvider) {
+        try {
+            releases = await forgeProvider.getReleases(repositoryUrl, {
+                preRelease: options?.preRelease,
+                limit: releasesToScan,
+            });
+        } catch {}
+    }
     /** @type {string | undefined} */
-    let releaseTag;
-    if (ms && repositoryUrl.hostname === "github.com" && token) {
+    const releaseTag = releases[0]?.tag;
+    //#endregion
+
+    //#region check cached resolution
+    // Before the release assets, since only resolutions from the repository are cached: with the same latest release and
+    // MS marketplace version, its assets did not match the last time either
+    /** @type {import('../types').ResolutionCacheKey | undefined} */
+    let cacheKey;
+    if (options?.cache) {
+        const head = await getRemoteHead(repository);
+        if (head) {
+            cacheKey = {
+                repository,
+                location,
+                head,
+                msVersion: ms?.version,
+                releaseTag,
+                preRelease: options.preRelease,
+            };
+            const cached = await readCachedResolution(id, cacheKey);
+            if (cached) {
+                console.log(`${id}: using the cached resolution, since ${head} is still the latest commit`);
+                return { version: cached.version, path: "", resolution: cached.resolution };
+            }
+        }
+    }
+    //#endregion
+
+    //#region check release assets
+    if (ms && releases.length > 0) {
+        try {
+            await fs.promises.rm(workspace.download, { recursive: true, force: true });
+
+            // Releases naming the version in their tag or assets are the likeliest to have it attached, so they go first
+            const namesVersion = (/** @type {import('../types').ForgeRelease} */ release) =>
+                !!release.tag?.includes(ms.version) || release.assets.some((asset) => asset.name.includes(ms.version));
+            const candidates = [
+                ...releases.filter(namesVersion),
+                ...releases.filter((release) => !namesVersion(release)),
+            ];
+
+            for (const release of candidates) {
+                const directory = path.join(workspace.download, String(releases.indexOf(release)));
+                const platformSpecific = await downloadReleaseAssets(id, release, ms.version, directory);
+                if (Object.keys(platformSpecific).length > 0) {
+                    const verified = await matchesMarketplace(
+                        msMarketplaceIdOverride ?? id,
+                        ms.version,
+                        platformSpecific,
+                        options?.downloadFromMarketplace ?? downloadFromMarketplace,
+                    );
+                    if (release !== releases[0]) {
+                        console.log(`${id}: using the assets of the ${release.tag ?? "earlier"} release`);
+                    }
+                    return {
+                        version: ms.version,
+                        files: platformSpecific,
+                        path: "",
+                        resolution: { releaseAsset: verified ? "verified" : "resolved" },
+                    };
+                }
+            }
+        } catch {}
+    }
+    //#endregion
+
+    const resolved = await resolveFromRepository(id, location, repository, repoPath, ms, releaseTag);
+    if (cacheKey && resolved) {
+        await writeCachedResolution(id, { ...cacheKey, version: resolved.version, resolution: resolved.resolution });
+    }
+    return resolved;
+};
+
+/**
+ * Downloads the `.vsix` assets of the release, or its `.zip` assets if it has none, which may be archives of them
+ * @param {string} id
+ * @param {import('../types').ForgeRelease} release
+ * @param {string} version the MS marketplace version
+ * @param {string} directory
+ * @returns {Promise<{[target: string]: string}>} the packages of `version`, by their target platform
+ */
+async function downloadReleaseAssets(id, release, version, directory) {
+    /** @type {{[target: string]: string}} */
+    const platformSpecific = {};
+    const packages = release.assets.filter((asset) => asset.name.endsWith(".vsix"));
+    for (const releaseAsset of packages.length > 0 ? packages : release.assets) {
+        const file = path.join(directory, path.basename(releaseAsset.name));
         try {
-            const releaseResponse = await octokit.rest.repos.getLatestRelease({ owner, repo });
-            const release = releaseResponse.data;
-            releaseTag = release.tag_name;
-
-            const releaseAssets = release.assets
-                .map((asset) => asset.browser_download_url)
-                .filter((downloadURL) => downloadURL.match(/\/releases\/download\/[-._a-zA-Z0-9\/%]*\.vsix$/g));
-
-            /** @type {{[key: string]: string}} */
-            const platformSpecific = {};
-            await exec("rm -rf /tmp/download", { quiet: true });
-
-            for (const releaseAsset of releaseAssets) {
-                const file = `/tmp/download/${path.basename(releaseAsset)}`;
-                console.info(`Downloading ${releaseAsset} to ${file}`);
-                await download(releaseAsset, path.dirname(file), { filename: path.basename(file) });
-                const { manifest, xmlManifest } = await readVSIXPackage(file);
+            console.info(`Downloading ${releaseAsset.url} to ${file}`);
+            await download(releaseAsset.url, directory, { filename: path.basename(file) });
+            const packages = file.endsWith(".zip") ? await extractPackages(file, directory) : [file];
+            for (const packageFile of packages) {
+                const { manifest, xmlManifest } = await readVSIXPackage(packageFile);
                 const targetPlatform = xmlManifest?.PackageManifest?.Metadata[0]?.Identity[0]?.$?.TargetPlatform;
 
                 if (
-                    manifest.version === ms.version &&
+                    manifest.version === version &&
                     `${manifest.publisher}.${manifest.name}`.toLowerCase() === id.toLowerCase()
                 ) {
                     if (targetPlatform) {
-                        platformSpecific[targetPlatform] = file;
+                        platformSpecific[targetPlatform] = packageFile;
                     } else {
                         // Don't overwrite `universal` if there is a file attached already
                         if (!platformSpecific.universal) {
-                            platformSpecific.universal = file;
+                            platformSpecific.universal = packageFile;
                         }
                     }
                 }
             }
+        } catch (error) {
+            console.warn(`${id}: skipping the release asset ${releaseAsset.name}: ${error}`);
+        }
+    }
+    return platformSpecific;
+}
 
-            if (Object.keys(platformSpecific).length > 0) {
-                return {
-                    version: ms.version,
-                    files: platformSpecific,
-                    path: "",
-                    resolution: { releaseAsset: "resolved" },
-                };
+/**
+ * Extracts the `.vsix` files of a `.zip` release asset
+ * @param {string} zipFile
+ * @param {string} directory
+ * @returns {Promise<string[]>} the paths of the extracted packages
+ */
+async function extractPackages(zipFile, directory) {
+    const packages = [];
+    const zipfile = await yauzl.open(zipFile);
+    try {
+        for await (const entry of zipfile) {
+            if (entry.filename.endsWith(".vsix")) {
+                const file = path.join(directory, path.basename(entry.filename));
+                await pipeline(await entry.openReadStream(), fs.createWriteStream(file));
+                packages.push(file);
             }
-        } catch {}
+        }
+    } finally {
+        await zipfile.close();
     }
-    //#endregion
+    return packages;
+}
 
-    await exec(`git clone --filter=blob:none --recurse-submodules ${repository} ${repoPath}`, { quiet: true });
+/**
+ * Whether the packages are the very ones the MS marketplace serves, by their SHA-256
+ * @param {string} id the MS marketplace id
+ * @param {string} version
+ * @param {{[target: string]: string}} platformSpecific
+ * @param {typeof downloadFromMarketplace} fetchPackage
+ * @returns {Promise<boolean>} `false` if a package differs or could not be downloaded from the MS marketplace
+ */
+async function matchesMarketplace(id, version, platformSpecific, fetchPackage) {
+    try {
+        for (const [target, file] of Object.entries(platformSpecific)) {
+            const msFile = await fetchPackage(id, version, target === "universal" ? undefined : target);
+            if ((await hashFile(file)) !== (await hashFile(msFile))) {
+                console.warn(`${id}: the ${target} release asset differs from the MS marketplace package`);
+                return false;
+            }
+        }
+        return true;
+    } catch (error) {
+        console.warn(`${id}: could not verify the release assets against the MS marketplace: ${error}`);
+        return false;
+    }
+}
+
+/**
+ * Finds the commit of the repository the MS marketplace version was built from
+ * @param {string} id
+ * @param {string | undefined} location
+ * @param {string} repository
+ * @param {string} repoPath
+ * @param {{version: string, lastUpdated: Date} | undefined} ms
+ * @param {string | undefined} releaseTag
+ * @returns {Promise<import('../types').ResolvedExtension | undefined>}
+ */
+async function resolveFromRepository(id, location, repository, repoPath, ms, releaseTag) {
+    await withFailureReason(FailureReason.resolve, () => addWorktree(repository, repoPath));
 
     const packagePath = [repoPath, location, "package.json"].filter((p) => !!p).join("/");
     /**
@@ -199,4 +345,4 @@ exports.resolveExtension = async function ({ id, repository, location }, ms) {
         }
     }
     return latestMatched;
-};
+}
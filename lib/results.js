@@ -0,0 +1,146 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const semver = require("semver");
+const { recordFailure } = require("./failures");
+
+// Uploaded by every job of .github/workflows/publish-extension.yml
+const resultsDirectory = process.env.RESULTS_DIR || "/tmp/results";
+
+/**
+ * Writes what the stage came to, warning if that fails, since the build or publish itself went through
+ * @param {Omit<import('../types').ResultRecord, "date">} result
+ * @param {string} [directory]
+ */
+async function writeResult(result, directory = resultsDirectory) {
+    /** @type {import('../types').ResultRecord} */
+    const record = { ...result, date: new Date().toISOString() };
+    const file = path.join(directory, `${record.id}${record.preRelease ? ".pre-release" : ""}.${record.stage}.json`);
+    try {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify(record, undefined, 2), "utf-8");
+    } catch (error) {
+        console.warn(`[WARN] Could not write the ${record.stage} result of ${record.id}: ${error}`);
+    }
+}
+
+/**
+ * Reads the result records of the directory and of the ones in it, as downloaded from the artifacts of several runs
+ * @param {string} [directory]
+ * @returns {Promise<import('../types').ResultRecord[]>} the records, oldest first
+ */
+async function readResults(directory = resultsDirectory) {
+    /** @type {import('../types').ResultRecord[]} */
+    const results = [];
+    const files = await fs.promises.readdir(directory, { recursive: true });
+    for (const file of files.filter((file) => file.endsWith(".json")).sort()) {
+        try {
+            const result = JSON.parse(await fs.promises.readFile(path.join(directory, file), "utf-8"));
+            if (!result?.id || !["build", "publish"].includes(result.stage) || !result.date) {
+                throw new Error("not a result record");
+            }
+            results.push(result);
+        } catch (error) {
+            console.warn(`[WARN] Skipping ${file}: ${error}`);
+        }
+    }
+    return results.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {import('../types').PublishStat} stat
+ * @param {string} id
+ * @param {boolean} preRelease
+ */
+function forgetFailure(stat, id, preRelease) {
+    const stats = preRelease ? stat.preRelease : stat;
+    stats.failed = stats.failed.filter((failed) => failed !== id);
+    delete stats.failures[id];
+    delete stat.blocked[id];
+    if (!preRelease) {
+        stat.timedOut = stat.timedOut.filter((timedOut) => timedOut !== id);
+    }
+}
+
+/**
+ * Merges the results of the dispatched builds and publishes into the stat of the run which dispatched them.
+ * A failure of either stage makes the extension failed. A publish of the version of the MS marketplace makes it up-to-date,
+ * other versions are left to the next run to compare.
+ * @param {Readonly<import('../types').PublishStat>} stat
+ * @param {import('../types').ResultRecord[]} results
+ * @returns {import('../types').PublishStat} the merged stat, `stat` is left as is
+ */
+function aggregateResults(stat, results) {
+    /** @type {import('../types').PublishStat} */
+    const merged = structuredClone(stat);
+
+    // A re-run of a dispatch supersedes the results of the previous attempt
+    /** @type {Map<string, {build?: import('../types').ResultRecord, publish?: import('../types').ResultRecord}>} */
+    const latest = new Map();
+    for (const result of [...results].sort((a, b) => a.date.localeCompare(b.date))) {
+        const key = JSON.stringify([result.id, !!result.preRelease]);
+        latest.set(key, { ...latest.get(key), [result.stage]: result });
+    }
+
+    for (const [key, { build, publish }] of latest) {
+        /** @type {[string, boolean]} */
+        const [id, preRelease] = JSON.parse(key);
+        const stats = preRelease ? merged.preRelease : merged;
+        forgetFailure(merged, id, preRelease);
+        if (build && !preRelease) {
+            if (build.vsixDiffs) {
+                merged.vsixDiffs[id] = build.vsixDiffs;
+            }
+            if (build.licenses) {
+                merged.licenses[id] = build.licenses;
+            }
+        }
+
+        // Packages of the other targets are published even if one of them could not be built
+        const failure =
+            (build?.outcome === "failure" && build.failure) || (publish?.outcome === "failure" && publish.failure);
+        if (failure) {
+            recordFailure(merged, id, failure, preRelease);
+            continue;
+        }
+        if (
+            publish?.outcome !== "success" ||
+            !build ||
+            !semver.valid(build.version) ||
+            !semver.valid(build.msVersion) ||
+            !semver.eq(build.version, build.msVersion)
+        ) {
+            continue;
+        }
+        const previous = stats.outdated[id] ?? stats.notInOpen[id] ?? stats.unstable[id] ?? stats.upToDate[id];
+        const extStat = {
+            msInstalls: previous?.msInstalls,
+            msVersion: build.msVersion,
+            openVersion: build.version,
+            daysInBetween: build.msLastUpdated
+                ? (new Date(publish.date).getTime() - new Date(build.msLastUpdated).getTime()) / (1000 * 3600 * 24)
+                : undefined,
+        };
+        for (const category of /** @type {const} */ (["outdated", "notInOpen", "unstable"])) {
+            delete stats[category][id];
+        }
+        stats.upToDate[id] = extStat;
+        // The run only lists the extensions updated on the MS marketplace this month
+        if (!preRelease && merged.hitMiss[id]) {
+            merged.hitMiss[id] = extStat;
+        }
+    }
+    return merged;
+}
+
+module.exports = { resultsDirectory, writeResult, readResults, aggregateResults };
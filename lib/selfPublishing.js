@@ -0,0 +1,112 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const semver = require("semver");
+const http = require("./forges/http");
+const { registryUrl } = require("./constants");
+
+// The account this repository publishes with, see `OVSX_PAT`
+const botAccount = process.env.OVSX_BOT_ACCOUNT || "open-vsx";
+
+// The latest versions whose publisher is looked up, one request each
+const defaultVersionsToCheck = 5;
+
+/**
+ * Looks up who published the latest versions of the extension to Open VSX,
+ * to tell whether its authors publish it themselves
+ * @param {string} id
+ * @param {{fetchJson?: (url: string) => Promise<any>, account?: string, versionsToCheck?: number}} [options]
+ * `fetchJson` fetches the Open VSX API, e.g. in tests. `account` is the one of this repository.
+ * @returns {Promise<import('../types').SelfPublishingEvidence | undefined>} `undefined` if the extension is not on Open VSX,
+ * or if all the versions looked up were published by `account`
+ */
+async function checkSelfPublishing(
+    id,
+    { fetchJson = http.fetchJson, account = botAccount, versionsToCheck = defaultVersionsToCheck } = {},
+) {
+    const [namespace, name] = id.split(".");
+    const extension = await fetchJson(`${registryUrl}/api/${namespace}/${name}`);
+    if (!extension) {
+        return undefined;
+    }
+    // `allVersions` also has aliases like `latest` and `pre-release`
+    const versions = Object.keys(extension.allVersions ?? { [extension.version]: "" })
+        .filter((version) => !!semver.valid(version))
+        .sort(semver.rcompare)
+        .slice(0, versionsToCheck);
+
+    /** @type {import('../types').SelfPublishingEvidence["versions"]} */
+    const published = [];
+    for (const version of versions) {
+        const metadata =
+            version === extension.version
+                ? extension
+                : await fetchJson(`${registryUrl}/api/${namespace}/${name}/${version}`);
+        if (metadata) {
+            published.push({
+                version,
+                publishedBy: metadata.publishedBy?.loginName ?? "unknown",
+                timestamp: metadata.timestamp,
+            });
+        }
+    }
+    const isOther = (/** @type {string} */ login) => login.toLowerCase() !== account.toLowerCase();
+    if (!published.some(({ publishedBy }) => isOther(publishedBy))) {
+        return undefined;
+    }
+
+    const namespaceVerified = !!(await fetchJson(`${registryUrl}/api/${namespace}`))?.verified;
+    return {
+        id,
+        namespaceVerified,
+        versions: published,
+        // Older versions by others may have been uploaded once by hand, only the latest one shows who keeps publishing
+        removable: namespaceVerified && isOther(published[0].publishedBy),
+    };
+}
+
+/**
+ * @param {import('../types').SelfPublishingEvidence} evidence
+ * @returns {string}
+ */
+const describeEvidence = (evidence) =>
+    [
+        `namespace ${evidence.namespaceVerified ? "verified" : "not verified"}`,
+        ...evidence.versions.map(
+            ({ version, publishedBy, timestamp }) =>
+                `${version} published by ${publishedBy}${timestamp ? ` on ${timestamp.slice(0, 10)}` : ""}`,
+        ),
+    ].join(", ");
+
+/**
+ * @param {import('../types').SelfPublishingEvidence[]} evidences
+ * @returns {string} the Markdown report of the extensions published by others than this repository
+ */
+function formatSelfPublishing(evidences) {
+    const link = (/** @type {string} */ id) => `[${id}](${registryUrl}/extension/${id.split(".").join("/")})`;
+    const removable = evidences.filter((evidence) => evidence.removable);
+    const toReview = evidences.filter((evidence) => !evidence.removable);
+    const lines = ["# Self-published extensions", ""];
+    if (evidences.length === 0) {
+        lines.push("All extensions are only published by this repository.");
+    }
+    if (removable.length) {
+        lines.push("## Can be removed from extensions.json", "");
+        lines.push(...removable.map((evidence) => `- ${link(evidence.id)}: ${describeEvidence(evidence)}`), "");
+    }
+    if (toReview.length) {
+        lines.push("## To review", "");
+        lines.push(...toReview.map((evidence) => `- ${link(evidence.id)}: ${describeEvidence(evidence)}`), "");
+    }
+    return lines.join("\n");
+}
+
+module.exports = { checkSelfPublishing, formatSelfPublishing };
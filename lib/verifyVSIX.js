@@ -0,0 +1,126 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const path = require("path");
+const yauzl = require("yauzl-promise");
+const download = require("download");
+const readVSIXPackage = require("@vscode/vsce/out/zip").readVSIXPackage;
+const { getWorkspace } = require("./workspace");
+const { msGalleryUrl } = require("./constants");
+
+/**
+ * Share of the MS marketplace package's files which may be missing or extra before a build is considered suspicious
+ */
+const defaultThreshold = 0.25;
+/**
+ * How many of the missing and extra files are kept in the stats
+ */
+const sampleSize = 10;
+
+/**
+ * @param {string} file
+ * @returns {Promise<Set<string>>}
+ */
+async function listFiles(file) {
+    const files = new Set();
+    const zipfile = await yauzl.open(file);
+    try {
+        for await (const entry of zipfile) {
+            if (!entry.filename.endsWith("/")) {
+                files.add(entry.filename);
+            }
+        }
+    } finally {
+        await zipfile.close();
+    }
+    return files;
+}
+
+/**
+ * Downloads the package of `version` from the MS marketplace
+ * @param {string} id
+ * @param {string} version
+ * @param {string | undefined} target
+ * @returns {Promise<string>} the path of the downloaded package
+ */
+async function downloadFromMarketplace(id, version, target) {
+    const [publisher, name] = id.split(".");
+    const url = `${msGalleryUrl}/_apis/public/gallery/publishers/${publisher}/vsextensions/${name}/${version}/vspackage${target ? `?targetPlatform=${target}` : ""}`;
+    const directory = path.join(getWorkspace(id).root, "marketplace");
+    const filename = `${id}@${target ?? "universal"}-${version}.vsix`;
+    await download(url, directory, { filename });
+    return path.join(directory, filename);
+}
+
+/**
+ * Compares a package built from sources to the one published to the MS marketplace,
+ * to catch builds which miss bundled files, point to a different entry point or contribute something else.
+ * @param {string} extensionFile
+ * @param {{id: string, version: string, target?: string}} ms the MS marketplace id (see `msMarketplaceIdOverride`), version and target platform to compare to
+ * @returns {Promise<import('../types').VSIXDiff>}
+ */
+async function compareWithMarketplace(extensionFile, ms) {
+    const msFile = await downloadFromMarketplace(ms.id, ms.version, ms.target);
+    const [files, msFiles] = await Promise.all([listFiles(extensionFile), listFiles(msFile)]);
+    const [{ manifest }, { manifest: msManifest }] = await Promise.all([
+        readVSIXPackage(extensionFile),
+        readVSIXPackage(msFile),
+    ]);
+
+    const missing = [...msFiles].filter((file) => !files.has(file));
+    const extra = [...files].filter((file) => !msFiles.has(file));
+
+    const contributes = manifest.contributes ?? {};
+    const msContributes = msManifest.contributes ?? {};
+    const contributionPoints = [...new Set([...Object.keys(contributes), ...Object.keys(msContributes)])].filter(
+        (point) => JSON.stringify(contributes[point]) !== JSON.stringify(msContributes[point]),
+    );
+
+    const entryPoints = ["main", "browser"].filter((entryPoint) => manifest[entryPoint] !== msManifest[entryPoint]);
+
+    let threshold = Number(process.env.VSIX_DIFF_THRESHOLD);
+    if (Number.isNaN(threshold) || !process.env.VSIX_DIFF_THRESHOLD) {
+        threshold = defaultThreshold;
+    }
+    const score = (missing.length + extra.length) / Math.max(msFiles.size, 1);
+
+    return {
+        msVersion: ms.version,
+        files: files.size,
+        msFiles: msFiles.size,
+        missing: missing.length,
+        extra: extra.length,
+        missingSample: missing.slice(0, sampleSize),
+        extraSample: extra.slice(0, sampleSize),
+        entryPoints,
+        contributionPoints,
+        score,
+        suspicious: score > threshold || entryPoints.length > 0 || contributionPoints.length > 0,
+    };
+}
+
+/**
+ * Returns a one line summary of the differences
+ * @param {import('../types').VSIXDiff} diff
+ * @returns {string}
+ */
+const summarizeDiff = (diff) =>
+    [
+        `${diff.missing} of ${diff.msFiles} files missing, ${diff.extra} extra`,
+        diff.entryPoints.length && `different ${diff.entryPoints.join(", ")}`,
+        diff.contributionPoints.length && `different contribution points: ${diff.contributionPoints.join(", ")}`,
+    ]
+        .filter((part) => !!part)
+        .join("; ");
+
+exports.downloadFromMarketplace = downloadFromMarketplace;
+exports.compareWithMarketplace = compareWithMarketplace;
+exports.summarizeDiff = summarizeDiff;
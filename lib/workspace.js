@@ -0,0 +1,40 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const { workspaceDirectory } = require("./constants");
+
+/**
+ * Returns the directories an extension is cloned and downloaded to.
+ * Every extension gets its own, so that several extensions can be processed at once.
+ * @param {string} id
+ * @returns {import('../types').Workspace}
+ */
+const getWorkspace = (id) => {
+    const root = path.join(workspaceDirectory, id);
+    return {
+        root,
+        repository: path.join(root, "repository"),
+        download: path.join(root, "download"),
+    };
+};
+
+/**
+ * Removes everything a previous resolution of the extension left behind
+ * @param {string} id
+ */
+const cleanWorkspace = async (id) => {
+    await fs.promises.rm(getWorkspace(id).root, { recursive: true, force: true });
+};
+
+exports.getWorkspace = getWorkspace;
+exports.cleanWorkspace = cleanWorkspace;
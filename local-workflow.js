@@ -19,6 +19,6 @@ const publishExtensionScript = require("./scripts/publish-extension");
 
     await publishExtensionsScript(async (extension, publishContext) => {
         const extensionFiles = await buildExtensionScript(extension, publishContext);
-        await publishExtensionScript(extension.id, extensionFiles);
+        await publishExtensionScript(extension.id, extensionFiles, publishContext.preRelease);
     });
 })();
\ No newline at end of file
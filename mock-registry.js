@@ -0,0 +1,32 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Serves a stand-in for Open VSX and the MS marketplace, backed by a local directory, to test the whole pipeline on one machine.
+// Usage:
+//   node mock-registry.js --port 3000 --directory /tmp/mock-registry
+// Then point the scripts to it:
+//   REGISTRY_URL=http://localhost:3000 MS_GALLERY_URL=http://localhost:3000/marketplace OVSX_PAT=mock node local-workflow.js
+//
+
+// @ts-check
+const minimist = require("minimist");
+const { createMockRegistry, marketplacePrefix } = require("./lib/mockRegistry");
+
+const argv = minimist(process.argv.slice(2), {
+    string: ["directory"],
+    default: { port: 3000, directory: "/tmp/mock-registry" },
+});
+
+createMockRegistry(argv.directory).listen(Number(argv.port), () => {
+    const url = `http://localhost:${argv.port}`;
+    console.log(`Serving the packages in ${argv.directory}`);
+    console.log(`REGISTRY_URL=${url} MS_GALLERY_URL=${url}${marketplacePrefix}`);
+});
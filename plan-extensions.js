@@ -0,0 +1,34 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Prints what a run would do without building or publishing anything, and writes it to /tmp/plan.json and /tmp/plan.md.
+// Usage:
+//   EXTENSIONS=rebornix.ruby node plan-extensions.js
+// Resolve the refs to build or the release assets to publish as well (clones the repositories):
+//   node plan-extensions.js --resolve
+//
+
+// @ts-check
+const minimist = require("minimist");
+const publishExtensionsScript = require("./scripts/publish-extensions");
+
+(async () => {
+    const argv = minimist(process.argv.slice(2), { boolean: ["resolve"] });
+
+    process.env.PLAN = "true";
+    if (argv.resolve) {
+        process.env.PLAN_RESOLVE = "true";
+    }
+
+    await publishExtensionsScript(async () => {
+        throw new Error("Nothing is published while planning");
+    });
+})();
@@ -0,0 +1,71 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Finds the extensions whose authors publish them to Open VSX themselves, and writes the evidence to
+// /tmp/reconcile.json and /tmp/reconcile.md.
+// Usage:
+//   EXTENSIONS=rebornix.ruby node reconcile-extensions.js
+// Drop the entries which can be removed from extensions.json as well:
+//   node reconcile-extensions.js --write
+//
+
+// @ts-check
+const fs = require("fs");
+const minimist = require("minimist");
+const { checkSelfPublishing, formatSelfPublishing } = require("./lib/selfPublishing");
+
+(async () => {
+    const argv = minimist(process.argv.slice(2), { boolean: ["write"] });
+
+    /** @type {Readonly<import('./types').Extensions>} */
+    const extensions = JSON.parse(await fs.promises.readFile("./extensions.json", "utf-8"));
+    const toVerify = process.env.EXTENSIONS?.split(",").map((id) => id.trim());
+    const ids = Object.keys(extensions).filter((id) => id !== "$schema" && (!toVerify || toVerify.includes(id)));
+
+    let concurrency = Number(process.env.CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        concurrency = 1;
+    }
+    /** @type {import('./types').SelfPublishingEvidence[]} */
+    const evidences = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < ids.length) {
+            const id = ids[next++];
+            try {
+                const evidence = await checkSelfPublishing(id);
+                if (evidence) {
+                    evidences.push(evidence);
+                }
+            } catch (error) {
+                console.warn(`[WARN] ${id}: could not look up its publishers on Open VSX: ${error}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+    evidences.sort((a, b) => a.id.localeCompare(b.id));
+
+    const report = formatSelfPublishing(evidences);
+    await fs.promises.writeFile("/tmp/reconcile.json", JSON.stringify(evidences, undefined, 2), { encoding: "utf8" });
+    await fs.promises.writeFile("/tmp/reconcile.md", report, { encoding: "utf8" });
+    console.log(report);
+
+    if (argv.write) {
+        const removable = new Set(evidences.filter((evidence) => evidence.removable).map((evidence) => evidence.id));
+        const patched = Object.fromEntries(Object.entries(extensions).filter(([id]) => !removable.has(id)));
+        await fs.promises.writeFile(
+            "./extensions.json",
+            JSON.stringify(patched, undefined, 2) + "\n", // add newline at EOF
+            { encoding: "utf8" },
+        );
+        console.log(`Removed ${removable.size} entries from extensions.json`);
+    }
+})();
@@ -20,7 +20,10 @@ import {
     readPublishStatistics,
 } from "./lib/helpers";
 import { formatter } from "./lib/reportStat";
-import type { ExtensionStat, MSExtensionStat } from "./types";
+import { summarizeDiff } from "./lib/verifyVSIX";
+import { describeLicense } from "./lib/licenses";
+import { findParityRegression, readHistory } from "./lib/history";
+import type { ExtensionStat, Failure, FailureReason, MSExtensionStat } from "./types";
 
 type InputExtensionStat = Partial<MSExtensionStat | ExtensionStat>;
 function sortedKeys(s: { [id: string]: InputExtensionStat }) {
@@ -32,6 +35,49 @@ function sortedKeys(s: { [id: string]: InputExtensionStat }) {
     });
 }
 
+const failureReasonTitles: { [reason in FailureReason]: string } = {
+    resolve: "Could not resolve what to build",
+    install: "Installing the dependencies failed",
+    prepublish: "The prepublish command failed",
+    package: "Packaging failed",
+    license: "License is missing or not allowed",
+    dependency: "Depends on extensions not published to Open VSX",
+    publish: "Publishing to Open VSX failed",
+    blocked: "Blocked by extension-control",
+    timeout: "Timed out",
+    other: "Other",
+};
+
+function groupByReason(ids: string[], failures: { [id: string]: Failure }) {
+    const groups = new Map<FailureReason, string[]>();
+    for (const id of ids) {
+        const reason = failures[id]?.reason ?? "other";
+        groups.set(reason, [...(groups.get(reason) ?? []), id]);
+    }
+    return [...groups].sort(([, a], [, b]) => b.length - a.length);
+}
+
+function formatFailureReasons(ids: string[], failures: { [id: string]: Failure }) {
+    return groupByReason(ids, failures)
+        .map(([reason, group]) => `${reason}: ${group.length}`)
+        .join(", ");
+}
+
+function formatFailures(ids: string[], failures: { [id: string]: Failure }, heading: string) {
+    const lines: string[] = [];
+    for (const [reason, group] of groupByReason(ids, failures)) {
+        lines.push(`${heading} ${failureReasonTitles[reason]}`);
+        lines.push(
+            ...group.map((ext) => {
+                const license = failures[ext]?.license;
+                const logArtifact = failures[ext]?.logArtifact;
+                return `- ${generateMicrosoftLink(ext)}: ${failures[ext]?.message ?? "unknown error"}${license ? ` (detected: ${describeLicense(license)})` : ""}${logArtifact ? `, see \`${ext}.log\` in the [\`${logArtifact.name}\` artifact](${logArtifact.run})` : ""}`;
+            }),
+        );
+    }
+    return lines;
+}
+
 const stat = await readPublishStatistics();
 
 const getAggregatedInstalls = (category: "upToDate" | "unstable" | "outdated" | "notInOpen") => {
@@ -78,6 +124,9 @@ const msPublishedUnstable = Object.keys(stat.unstable).filter((id) => Object.key
 
 const totalResolutions = Object.keys(stat.resolutions).length;
 const fromReleaseAsset = Object.keys(stat.resolutions).filter((id) => stat.resolutions[id].releaseAsset).length;
+const verifiedReleaseAsset = Object.keys(stat.resolutions).filter(
+    (id) => stat.resolutions[id].releaseAsset === "verified",
+).length;
 const fromReleaseTag = Object.keys(stat.resolutions).filter((id) => stat.resolutions[id].releaseTag).length;
 const fromTag = Object.keys(stat.resolutions).filter((id) => stat.resolutions[id].tag).length;
 const fromLatestUnmaintained = Object.keys(stat.resolutions).filter(
@@ -97,6 +146,22 @@ const totalResolved =
     fromMatchedLatest +
     fromMatched;
 
+const preReleaseUpToDate = Object.keys(stat.preRelease.upToDate).length;
+const preReleaseOutdated = Object.keys(stat.preRelease.outdated).length;
+const preReleaseUnstable = Object.keys(stat.preRelease.unstable).length;
+const preReleaseNotInOpen = Object.keys(stat.preRelease.notInOpen).length;
+const preReleaseTotal = preReleaseUpToDate + preReleaseOutdated + preReleaseUnstable + preReleaseNotInOpen;
+
+const suspiciousBuilds = Object.keys(stat.vsixDiffs).filter((id) =>
+    Object.values(stat.vsixDiffs[id]).some((diff) => diff.suspicious),
+);
+const notOsiLicensed = Object.keys(stat.licenses).filter((id) =>
+    Object.values(stat.licenses[id]).some((license) => license.category !== "osi"),
+);
+const allowedLicenses = notOsiLicensed.filter((id) =>
+    Object.values(stat.licenses[id]).every((license) => license.category === "osi" || license.allowed),
+);
+
 const weightedPercentage =
     aggregatedInstalls.upToDate /
     (aggregatedInstalls.notInOpen +
@@ -104,6 +169,9 @@ const weightedPercentage =
         aggregatedInstalls.outdated +
         aggregatedInstalls.unstable);
 
+// The history includes this run already, see `appendToHistory`
+const parityRegression = findParityRegression(await readHistory());
+
 let summary: string[] = ["# Summary"];
 
 if (!process.env.EXTENSIONS) {
@@ -111,11 +179,24 @@ if (!process.env.EXTENSIONS) {
         `Total: ${total}`,
         `Up-to-date (MS Marketplace == Open VSX): ${upToDate} (${calculatePercentage(upToDate, total)})`,
         `Weighted publish percentage: ${(weightedPercentage * 100).toFixed(0)}%`,
+        ...(parityRegression
+            ? [
+                  `⚠️ Weighted publish percentage regressed since the previous run: ${(parityRegression.from * 100).toFixed(1)}% → ${(parityRegression.to * 100).toFixed(1)}%`,
+              ]
+            : []),
         `Outdated (Not in Open VSX, but in MS marketplace): ${notInOpen} (${calculatePercentage(notInOpen, total)})`,
         `Outdated (MS marketplace > Open VSX): ${outdated} (${calculatePercentage(outdated, total)})`,
         `Unstable (MS marketplace < Open VSX): ${unstable} (${calculatePercentage(unstable, total)})`,
         `Not in MS marketplace: ${notInMS} (${calculatePercentage(notInMS, total)})`,
         `Failed to publish: ${stat.failed.length} (${calculatePercentage(stat.failed.length, total)})`,
+        `Of which by reason: ${formatFailureReasons(stat.failed, stat.failures) || "-"}`,
+        `Timed out while building: ${stat.timedOut.length} (${calculatePercentage(stat.timedOut.length, total)})`,
+        `Built from sources, but differing from the MS marketplace package: ${suspiciousBuilds.length}`,
+        `Not under an OSI-approved license: ${notOsiLicensed.length} (of which allowed in extensions.json: ${allowedLicenses.length})`,
+        `Deferred, since their dependencies could not be published: ${Object.keys(stat.deferred).length}`,
+        `With dependencies neither on Open VSX nor published with them: ${Object.keys(stat.unresolvableDependencies).length}`,
+        `Depending on each other: ${stat.dependencyCycles.flat().length}`,
+        `Blocked by extension-control (malicious or deprecated): ${Object.keys(stat.blocked).length}`,
         "",
         "Microsoft:",
         `Total: ${msPublished} (${calculatePercentage(msPublished, total)})`,
@@ -124,6 +205,7 @@ if (!process.env.EXTENSIONS) {
         "",
         `Total resolutions: ${totalResolutions}`,
         `From release asset: ${fromReleaseAsset} (${calculatePercentage(fromReleaseAsset, totalResolutions)})`,
+        `Of which identical to the MS marketplace package: ${verifiedReleaseAsset} (${calculatePercentage(verifiedReleaseAsset, fromReleaseAsset)})`,
         `From release tag: ${fromReleaseTag} (${calculatePercentage(fromReleaseTag, totalResolutions)})`,
         `From repo tag: ${fromTag} (${calculatePercentage(fromTag, totalResolutions)})`,
         `From very latest repo commit of unmaintained (last update >= 2 months ago): ${fromLatestUnmaintained} (${calculatePercentage(fromLatestUnmaintained, totalResolutions)})`,
@@ -137,6 +219,18 @@ if (!process.env.EXTENSIONS) {
         `Of which updated in Open VSX within 2 weeks: ${updatedInOpenIn2Weeks.size} (${calculatePercentage(updatedInOpenIn2Weeks.size, updatedInMTD)})`,
         `Of which updated in Open VSX within a month: ${updatedInOpenInMonth.size} (${calculatePercentage(updatedInOpenInMonth.size, updatedInMTD)})`,
     );
+    if (preReleaseTotal) {
+        summary.push(
+            "",
+            "Pre-release:",
+            `Total: ${preReleaseTotal}`,
+            `Up-to-date (MS Marketplace == Open VSX): ${preReleaseUpToDate} (${calculatePercentage(preReleaseUpToDate, preReleaseTotal)})`,
+            `Outdated (Not in Open VSX, but in MS marketplace): ${preReleaseNotInOpen} (${calculatePercentage(preReleaseNotInOpen, preReleaseTotal)})`,
+            `Outdated (MS marketplace > Open VSX): ${preReleaseOutdated} (${calculatePercentage(preReleaseOutdated, preReleaseTotal)})`,
+            `Unstable (MS marketplace < Open VSX): ${preReleaseUnstable} (${calculatePercentage(preReleaseUnstable, preReleaseTotal)})`,
+            `Failed to publish: ${stat.preRelease.failed.length} (${calculatePercentage(stat.preRelease.failed.length, preReleaseTotal)})`,
+        );
+    }
 } else {
     if (total === 0) {
         summary.push("No extensions were processed");
@@ -144,6 +238,8 @@ if (!process.env.EXTENSIONS) {
         summary.push(
             `Up-to-date (MS Marketplace == Open VSX): ${upToDate} (${calculatePercentage(upToDate, total)})`,
             `Failed to publish: ${stat.failed.length} (${calculatePercentage(stat.failed.length, total)})`,
+            `Of which by reason: ${formatFailureReasons(stat.failed, stat.failures) || "-"}`,
+            `Timed out while building: ${stat.timedOut.length} (${calculatePercentage(stat.timedOut.length, total)})`,
             `Outdated: ${msPublishedOutdated.length}`,
             `Unstable: ${msPublishedUnstable.length}`,
         );
@@ -197,10 +293,102 @@ if (notInMS) {
 
 if (stat.failed.length) {
     content.push("", "## Failed to publish");
-    content.push(...stat.failed.map((ext) => `- ${generateMicrosoftLink(ext)}`));
+    content.push(...formatFailures(stat.failed, stat.failures, "###"));
+}
+
+if (stat.timedOut.length) {
+    content.push("", "## Timed out while building");
+    content.push(...stat.timedOut.map((ext) => `- ${generateMicrosoftLink(ext)}`));
+}
+
+if (Object.keys(stat.deferred).length) {
+    content.push("", "## Deferred, since their dependencies could not be published");
+    for (const id of Object.keys(stat.deferred).sort()) {
+        content.push(`- ${generateMicrosoftLink(id)}: ${stat.deferred[id].join(", ")}`);
+    }
+}
+
+if (Object.keys(stat.unresolvableDependencies).length) {
+    content.push("", "## Dependencies neither on Open VSX nor published with the extension");
+    for (const id of Object.keys(stat.unresolvableDependencies).sort()) {
+        content.push(`- ${generateMicrosoftLink(id)}: ${stat.unresolvableDependencies[id].join(", ")}`);
+    }
+}
+
+if (stat.dependencyCycles.length) {
+    content.push("", "## Extensions depending on each other");
+    content.push(...stat.dependencyCycles.map((cycle) => `- ${cycle.map(generateMicrosoftLink).join(", ")}`));
+}
+
+if (Object.keys(stat.blocked).length) {
+    content.push("", "## Blocked by extension-control");
+    for (const id of Object.keys(stat.blocked).sort()) {
+        const { reason, replacement } = stat.blocked[id];
+        content.push(`- ${generateMicrosoftLink(id)}: ${reason}${replacement ? `, in favor of ${replacement}` : ""}`);
+    }
+}
+
+if (suspiciousBuilds.length) {
+    content.push("", "## Suspicious builds (differing from the MS marketplace package)");
+    for (const id of suspiciousBuilds) {
+        for (const [target, diff] of Object.entries(stat.vsixDiffs[id])) {
+            if (diff.suspicious) {
+                content.push(`- ${generateMicrosoftLink(id)} (${target}, ${diff.msVersion}): ${summarizeDiff(diff)}`);
+            }
+        }
+    }
+}
+
+if (notOsiLicensed.length) {
+    const categoryTitles = {
+        nonOsi: "not OSI-approved",
+        proprietary: "proprietary",
+        unknown: "not recognized",
+        missing: "missing",
+    };
+    content.push("", "## Not under an OSI-approved license");
+    for (const id of notOsiLicensed.sort()) {
+        for (const [target, license] of Object.entries(stat.licenses[id])) {
+            if (license.category !== "osi") {
+                content.push(
+                    `- ${generateMicrosoftLink(id)} (${target}): ${describeLicense(license)}, ${categoryTitles[license.category]}${license.allowed ? " (allowed)" : ""}`,
+                );
+            }
+        }
+    }
+}
+
+if (preReleaseTotal) {
+    content.push("", "## Pre-release parity");
+    for (const [category, title] of [
+        ["outdated", "Outdated (MS marketplace > Open VSX version)"],
+        ["notInOpen", "Not published to Open VSX, but in MS marketplace"],
+        ["unstable", "Unstable (Open VSX > MS marketplace version)"],
+        ["upToDate", "Up-to-date (Open VSX = MS marketplace version)"],
+    ] as const) {
+        const keys = sortedKeys(stat.preRelease[category]);
+        if (!keys.length) {
+            continue;
+        }
+        content.push(`### ${title}`);
+        for (const id of keys) {
+            const r: InputExtensionStat = stat.preRelease[category][id];
+            const openVersion = "openVersion" in r && r.openVersion ? ` (Open VSX: ${r.openVersion})` : "";
+            content.push(
+                `${positionOf(id, keys)} ${generateMicrosoftLink(id)} (installs: ${humanNumber(r.msInstalls!, formatter)}): ${r.msVersion}${openVersion}`,
+            );
+        }
+    }
+    if (stat.preRelease.failed.length) {
+        content.push("### Failed to publish");
+        content.push(...formatFailures(stat.preRelease.failed, stat.preRelease.failures, "####"));
+    }
 }
 
-if ((unstable || stat.failed.length || outdated) && process.env.VALIDATE_PR === "true") {
+if (
+    (unstable || stat.failed.length || stat.timedOut.length || outdated || stat.preRelease.failed.length) &&
+    process.env.VALIDATE_PR === "true"
+) {
     // Fail the validating job if there are failing extensions
     process.exitCode = 1;
 }
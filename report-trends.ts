@@ -0,0 +1,71 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+import fs from "fs";
+
+import { generateMicrosoftLink, lineBreak } from "./lib/helpers";
+import {
+    compareRuns,
+    findParityRegression,
+    historyFile,
+    meanTimeToMirror,
+    parityByWeek,
+    readHistory,
+} from "./lib/history";
+
+const formatPercentage = (share: number) => `${(share * 100).toFixed(1)}%`;
+
+const records = await readHistory();
+if (records.length === 0) {
+    console.error(`No runs recorded in ${historyFile} yet`);
+    process.exit(1);
+}
+
+const latest = records[records.length - 1];
+const previous = records.length > 1 ? records[records.length - 2] : undefined;
+const regression = findParityRegression(records);
+const timeToMirror = meanTimeToMirror(records);
+const { broke, recovered } = previous ? compareRuns(previous, latest) : { broke: [], recovered: [] };
+
+const content: string[] = [
+    "# Trends",
+    `Runs: ${records.length} (${records[0].date.slice(0, 10)} to ${latest.date.slice(0, 10)})`,
+    `Up-to-date in the latest run: ${latest.upToDate} of ${latest.total} (${formatPercentage(latest.total ? latest.upToDate / latest.total : 0)})`,
+    `Weighted publish percentage in the latest run: ${formatPercentage(latest.weightedParity)}`,
+    ...(regression
+        ? [
+              `⚠️ Weighted publish percentage regressed since the previous run: ${formatPercentage(regression.from)} → ${formatPercentage(regression.to)}`,
+          ]
+        : []),
+    timeToMirror
+        ? `Mean time to mirror a new MS marketplace version: ${timeToMirror.days.toFixed(1)} days (${timeToMirror.versions} versions)`
+        : "Mean time to mirror a new MS marketplace version: -",
+    `Newly broken since the previous run: ${broke.length}`,
+    `Recovered since the previous run: ${recovered.length}`,
+    "",
+    "## Parity per week",
+    "",
+    "| Week | Runs | Up-to-date | Weighted |",
+    "| --- | --- | --- | --- |",
+    ...parityByWeek(records).map(
+        ({ week, runs, parity, weightedParity }) =>
+            `| ${week} | ${runs} | ${formatPercentage(parity)} | ${formatPercentage(weightedParity)} |`,
+    ),
+];
+
+if (broke.length > 0) {
+    content.push("", "## Newly broken", ...broke.map((id) => `- ${generateMicrosoftLink(id)}`));
+}
+if (recovered.length > 0) {
+    content.push("", "## Recovered", ...recovered.map((id) => `- ${generateMicrosoftLink(id)}`));
+}
+
+await fs.promises.writeFile("/tmp/trends.md", content.join(lineBreak), { encoding: "utf8" });
+console.log(content.join(lineBreak));
@@ -9,7 +9,6 @@
  ********************************************************************************/
 // @ts-check
 const fs = require("fs");
-const ovsx = require("ovsx");
 const readVSIXPackage = require("@vscode/vsce/out/zip").readVSIXPackage;
 const path = require("path");
 const semver = require("semver");
@@ -17,23 +16,52 @@ const exec = require("../lib/exec");
 const findUp = require("find-up");
 const fg = require("fast-glob");
 
-const { createVSIX } = require("@vscode/vsce");
 const { cannotPublish } = require("../lib/reportStat");
 
 const { PublicGalleryAPI } = require("@vscode/vsce/out/publicgalleryapi");
 const { PublishedExtension } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
-const { artifactDirectory, registryHost, defaultPythonVersion } = require("../lib/constants");
-const resolveExtension = require("../lib/resolveExtension").resolveExtension;
+const { artifactDirectory, registryUrl, defaultPythonVersion } = require("../lib/constants");
+const { checkoutForBuild, installOnce } = require("../lib/repositories");
+const { detectPackageManager, getPackaging } = require("../lib/packageManagers");
+const { compareWithMarketplace, summarizeDiff } = require("../lib/verifyVSIX");
+const { writeProvenance } = require("../lib/provenance");
+const { classifyLicense, describeLicense, isAllowedLicense } = require("../lib/licenses");
+const { isBuiltIn } = require("../lib/dependencies");
+const { ExtensionError, FailureReason, withFailureReason, describeFailure, reportFailure } = require("../lib/failures");
+const { writeResult } = require("../lib/results");
+const { checkExtensionControl, describeVerdict } = require("../lib/extensionControl");
 
-const vscodeBuiltinExtensionsNamespace = "vscode";
-const isBuiltIn = (id) => id.split(".")[0] === vscodeBuiltinExtensionsNamespace;
+// in minutes, see `timeout` in extensions-schema.json
+const defaultBuildTimeout = 5;
 
-const openGalleryApi = new PublicGalleryAPI(`https://${registryHost}/vscode`, "3.0-preview.1");
+const openGalleryApi = new PublicGalleryAPI(`${registryUrl}/vscode`, "3.0-preview.1");
 openGalleryApi.client["_allowRetries"] = true;
 openGalleryApi.client["_maxRetries"] = 5;
 openGalleryApi.post = (url, data, additionalHeaders) =>
     openGalleryApi.client.post(`${openGalleryApi.baseUrl}${url}`, data, additionalHeaders);
 
+// Installing Node and Python versions changes the toolchain all builds share, so the builds running at once take turns
+let toolchainQueue = Promise.resolve();
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+const withToolchain = (fn) => {
+    const result = toolchainQueue.then(fn);
+    toolchainQueue = result.then(
+        () => {},
+        () => {},
+    );
+    return result;
+};
+
+/**
+ * Set up once per run rather than by every build, which would change the global configuration side by side
+ * @type {Promise<void> | undefined}
+ */
+let buildPrerequisites;
+
 const ensureBuildPrerequisites = async () => {
     // Make yarn use bash
     await exec("yarn config set script-shell /bin/bash");
@@ -60,8 +88,12 @@ const ensureBuildPrerequisites = async () => {
 async function buildVersion(extension, publishContext) {
     console.debug(`Building ${extension.id} for ${publishContext.target || "universal"}...`);
     console.log(`\nProcessing extension: ${JSON.stringify({ extension, publishContext }, undefined, 2)}`);
+    let timeout = Number(extension.timeout);
+    if (!Number.isInteger(timeout)) {
+        timeout = defaultBuildTimeout;
+    }
     try {
-        await ensureBuildPrerequisites();
+        await (buildPrerequisites ??= ensureBuildPrerequisites());
         const { id } = extension;
         let packagePath = publishContext.repo;
         if (packagePath && extension.location) {
@@ -70,45 +102,61 @@ async function buildVersion(extension, publishContext) {
 
         /** @type {import('ovsx').PublishOptions} */
         let options;
+        // Recorded in the provenance document of the package
+        /** @type {string[]} */
+        const commands = [];
+        const toolchain = { node: process.version, python: extension.pythonVersion ?? defaultPythonVersion };
         if (publishContext.file) {
             options = { extensionFile: publishContext.file, targets: [publishContext.target] };
-        } else if (publishContext.repo && publishContext.ref) {
-            console.log(`${id}: preparing from ${publishContext.repo}...`);
-            await exec("rm -rf /tmp/repository /tmp/download", { quiet: true });
-            await resolveExtension(
-                extension,
-                publishContext.msVersion && {
-                    version: publishContext.msVersion,
-                    lastUpdated: publishContext.msLastUpdated,
-                },
+        } else if (publishContext.ref) {
+            const { ref } = publishContext;
+            // Checked out here rather than where it was resolved, which may have been another run, or no checkout at all for cached resolutions.
+            // Extensions of a monorepo built from the same ref share the checkout and the dependencies installed in it,
+            // but not the changes and packages earlier builds left in it
+            publishContext.repo = await withFailureReason(FailureReason.resolve, () =>
+                checkoutForBuild(/** @type {string} */ (extension.repository), ref),
             );
+            packagePath = extension.location ? path.join(publishContext.repo, extension.location) : publishContext.repo;
+            console.log(`${id}: preparing from ${publishContext.repo}...`);
 
             const [publisher, name] = extension.id.split(".");
-            process.env.EXTENSION_ID = extension.id;
-            process.env.EXTENSION_PUBLISHER = publisher;
-            process.env.EXTENSION_NAME = name;
-            process.env.VERSION = publishContext.version;
-            process.env.MS_VERSION = publishContext.msVersion;
-            process.env.OVSX_VERSION = publishContext.ovsxVersion;
-            await exec(`git checkout ${publishContext.ref}`, { cwd: publishContext.repo });
+            // Passed to the commands of this build rather than set in `process.env`, which the builds running at once share
+            const env = /** @type {{[key: string]: string}} */ (
+                Object.fromEntries(
+                    Object.entries({
+                        EXTENSION_ID: extension.id,
+                        EXTENSION_PUBLISHER: publisher,
+                        EXTENSION_NAME: name,
+                        VERSION: publishContext.version,
+                        MS_VERSION: publishContext.msVersion,
+                        OVSX_VERSION: publishContext.ovsxVersion,
+                        PRE_RELEASE: String(!!publishContext.preRelease),
+                        // Takes precedence over the global version of pyenv, which would change the one of the other builds
+                        PYENV_VERSION: extension.pythonVersion,
+                        // Variables of the target being built, see `target` in extensions-schema.json
+                        ...publishContext.environmentVariables,
+                    }).filter(([, value]) => value !== undefined),
+                )
+            );
+
+            // Installing, running the custom commands and packaging have to finish within the timeout together
+            const deadline = Date.now() + timeout * 60 * 1000;
 
+            const toolchainDirectory = path.join(publishContext.repo, extension.location ?? ".");
             try {
-                const nvmFile = await findUp(".nvmrc", {
-                    cwd: path.join(publishContext.repo, extension.location ?? "."),
-                });
+                const nvmFile = await findUp(".nvmrc", { cwd: toolchainDirectory });
                 if (nvmFile) {
+                    toolchain.node = (await fs.promises.readFile(nvmFile, "utf-8")).trim();
                     // If the project has a preferred Node version, use it
-                    await exec("source ~/.nvm/nvm.sh && nvm install", {
-                        cwd: path.join(publishContext.repo, extension.location ?? "."),
-                        quiet: true,
-                    });
+                    await withToolchain(() =>
+                        exec("source ~/.nvm/nvm.sh && nvm install", { cwd: toolchainDirectory, quiet: true }),
+                    );
                 }
 
                 if (extension.pythonVersion) {
                     console.debug("Installing appropriate Python version...");
-                    await exec(
-                        `pyenv install -s ${extension.pythonVersion} && pyenv global ${extension.pythonVersion}`,
-                        { cwd: path.join(publishContext.repo, extension.location ?? "."), quiet: false },
+                    await withToolchain(() =>
+                        exec(`pyenv install -s ${extension.pythonVersion}`, { cwd: toolchainDirectory, quiet: false }),
                     );
                 }
             } catch {}
@@ -116,7 +164,10 @@ async function buildVersion(extension, publishContext) {
             if (extension.custom) {
                 try {
                     for (const command of extension.custom) {
-                        await exec(command, { cwd: publishContext.repo });
+                        commands.push(command);
+                        await withFailureReason(FailureReason.package, () =>
+                            exec(command, { cwd: publishContext.repo, deadline, env }),
+                        );
                     }
 
                     options = {
@@ -144,7 +195,8 @@ async function buildVersion(extension, publishContext) {
                                 targets: [publishContext.target],
                             };
                         } else {
-                            throw new Error(
+                            throw new ExtensionError(
+                                FailureReason.package,
                                 `After running the custom commands, no .vsix file was found for ${extension.id}@${publishContext.target}`,
                             );
                         }
@@ -153,11 +205,23 @@ async function buildVersion(extension, publishContext) {
                     throw e;
                 }
             } else {
-                const yarn = await new Promise((resolve) => {
-                    fs.access(path.join(publishContext.repo, "yarn.lock"), (error) => resolve(!error));
-                });
+                const manifest = JSON.parse(
+                    await fs.promises.readFile(path.join(packagePath, "package.json"), "utf-8"),
+                );
+                // Extensions in a workspace are installed with the whole workspace, from its root
+                const { manager, installPath } = detectPackageManager(publishContext.repo, packagePath);
+                const packaging = getPackaging(manager, manifest);
+                const install = () =>
+                    withFailureReason(FailureReason.install, () =>
+                        exec(packaging.install, { cwd: installPath, deadline, env }),
+                    );
+                commands.push(packaging.install);
                 try {
-                    await exec(`${yarn ? "yarn" : "npm"} install`, { cwd: packagePath });
+                    // By the variables of the target only, the ones of the extension would not let its monorepo share the installation
+                    const installed = await installOnce(installPath, publishContext.environmentVariables, install);
+                    if (!installed) {
+                        console.log(`${id}: dependencies are installed in ${installPath} already`);
+                    }
                 } catch (e) {
                     const pck = JSON.parse(await fs.promises.readFile(path.join(packagePath, "package.json"), "utf-8"));
                     // try to auto migrate from vscode: https://code.visualstudio.com/api/working-with-extensions/testing-extension#migrating-from-vscode
@@ -171,36 +235,59 @@ async function buildVersion(extension, publishContext) {
                             "tsc",
                         );
                         await fs.promises.writeFile(path.join(packagePath, "package.json"), content, "utf-8");
-                        await exec(`${yarn ? "yarn" : "npm"} install`, { cwd: packagePath });
+                        await install();
                     } else {
                         throw e;
                     }
                 }
                 if (extension.prepublish) {
-                    await exec(extension.prepublish, { cwd: publishContext.repo });
+                    commands.push(extension.prepublish);
+                    await withFailureReason(FailureReason.prepublish, () =>
+                        exec(extension.prepublish, { cwd: publishContext.repo, deadline, env }),
+                    );
                 }
                 if (extension.extensionFile) {
                     options = { extensionFile: path.join(publishContext.repo, extension.extensionFile) };
                 } else {
                     options = { extensionFile: path.join(publishContext.repo, "extension.vsix") };
-                    if (yarn) {
+                    if (packaging.useYarn) {
                         options.yarn = true;
                     }
-                    // answer y to all questions https://github.com/microsoft/vscode-vsce/blob/7182692b0f257dc10e7fc643269511549ca0c1db/src/util.ts#L12
-                    const vsceTests = process.env["VSCE_TESTS"];
-                    process.env["VSCE_TESTS"] = "1";
-                    try {
-                        await createVSIX({
+                    options.dependencies = packaging.dependencies;
+                    commands.push(
+                        [
+                            "vsce package",
+                            options.yarn && "--yarn",
+                            !options.dependencies && "--no-dependencies",
+                            publishContext.target && `--target ${publishContext.target}`,
+                            publishContext.preRelease && "--pre-release",
+                        ]
+                            .filter(Boolean)
+                            .join(" "),
+                    );
+                    // Packaged in a process of its own, so that it is killed along with everything else once the deadline is hit
+                    const packageOptions = {
+                        cwd: packagePath,
+                        packagePath: options.extensionFile,
+                        baseContentUrl: options.baseContentUrl,
+                        baseImagesUrl: options.baseImagesUrl,
+                        useYarn: packaging.useYarn,
+                        dependencies: packaging.dependencies,
+                        target: publishContext.target,
+                        preRelease: publishContext.preRelease,
+                    };
+                    await withFailureReason(FailureReason.package, () =>
+                        exec(`node ${JSON.stringify(path.join(__dirname, "package-extension.js"))}`, {
                             cwd: packagePath,
-                            packagePath: options.extensionFile,
-                            baseContentUrl: options.baseContentUrl,
-                            baseImagesUrl: options.baseImagesUrl,
-                            useYarn: options.yarn,
-                            target: publishContext.target,
-                        });
-                    } finally {
-                        process.env["VSCE_TESTS"] = vsceTests;
-                    }
+                            deadline,
+                            env: {
+                                ...env,
+                                // answer y to all questions https://github.com/microsoft/vscode-vsce/blob/7182692b0f257dc10e7fc643269511549ca0c1db/src/util.ts#L12
+                                VSCE_TESTS: "1",
+                                VSCE_PACKAGE_OPTIONS: JSON.stringify(packageOptions),
+                            },
+                        }),
+                    );
                 }
                 console.log(`${id}: prepared from ${publishContext.repo}`);
             }
@@ -211,12 +298,13 @@ async function buildVersion(extension, publishContext) {
         publishContext.version =
             xmlManifest?.PackageManifest?.Metadata[0]?.Identity[0]["$"]?.Version || manifest?.version;
         if (!publishContext.version) {
-            throw new Error(`${extension.id}: version is not resolved`);
+            throw new ExtensionError(FailureReason.package, `${extension.id}: version is not resolved`);
         }
 
         if (publishContext.ovsxVersion) {
             if (semver.gt(publishContext.ovsxVersion, publishContext.version)) {
-                throw new Error(
+                throw new ExtensionError(
+                    FailureReason.publish,
                     `extensions.json is out-of-date: Open VSX version ${publishContext.ovsxVersion} is already greater than specified version ${publishContext.version}`,
                 );
             }
@@ -226,13 +314,31 @@ async function buildVersion(extension, publishContext) {
             }
         }
 
-        // TODO(ak) check license is open-source
-        if (
-            !xmlManifest?.PackageManifest?.Metadata[0]?.License?.[0] &&
-            !manifest.license &&
-            !(packagePath && (await ovsx.isLicenseOk(packagePath, manifest)))
-        ) {
-            throw new Error(`${extension.id}: license is missing`);
+        const license = await classifyLicense(/** @type {string} */ (options.extensionFile), manifest, packagePath);
+        if (isAllowedLicense(license, extension)) {
+            license.allowed = true;
+        }
+        publishContext.licenses = { ...publishContext.licenses, [publishContext.target || "universal"]: license };
+        if (license.category === "missing") {
+            throw new ExtensionError(FailureReason.license, `${extension.id}: license is missing`, { license });
+        }
+        if (license.category !== "osi" && !license.allowed) {
+            const message = `${extension.id}: ${describeLicense(license)} is ${
+                {
+                    nonOsi: "not an OSI-approved license",
+                    proprietary: "a proprietary license",
+                    unknown: "not a license that could be recognized",
+                }[license.category]
+            }`;
+            // Proprietary licenses do not allow redistributing the extension, the others have to be checked by hand
+            if (license.category === "proprietary" || process.env.LICENSE_STRICT === "true") {
+                throw new ExtensionError(
+                    FailureReason.license,
+                    `${message}. If it may be published to Open VSX anyway, add it to \`allowedLicenses\` of the extension in extensions.json.`,
+                    { license },
+                );
+            }
+            console.warn(`[WARN] ${message}`);
         }
 
         const { extensionDependencies } = manifest;
@@ -242,17 +348,23 @@ async function buildVersion(extension, publishContext) {
                 cannotPublish.includes(dependency),
             );
             if (unpublishableDependencies?.length > 0) {
-                throw new Error(
+                throw new ExtensionError(
+                    FailureReason.dependency,
                     `${id} is dependent on ${unpublishableDependencies.join(", ")}, which ${unpublishableDependencies.length === 1 ? "has" : "have"} to be published to Open VSX first by ${unpublishableDependencies.length === 1 ? "its author because of its license" : "their authors because of their licenses"}.`,
                 );
             }
 
             const dependenciesNotOnOpenVsx = [];
             const extensions = JSON.parse(await fs.promises.readFile("./extensions.json", "utf-8"));
+            const publishedInRun = new Set(publishContext.publishedInRun?.map((id) => id.toLowerCase()));
             for (const dependency of extensionDependenciesNotBuiltin) {
                 if (process.env.SKIP_PUBLISH && Object.keys(extensions).find((key) => key === dependency)) {
                     continue;
                 }
+                // Open VSX may not list it yet
+                if (publishedInRun.has(dependency.toLowerCase())) {
+                    continue;
+                }
 
                 /** @type {[PromiseSettledResult<PublishedExtension | undefined>]} */
                 const [ovsxExtension] = await Promise.allSettled([openGalleryApi.getExtension(dependency)]);
@@ -261,12 +373,41 @@ async function buildVersion(extension, publishContext) {
                 }
             }
             if (dependenciesNotOnOpenVsx.length > 0) {
-                throw new Error(
+                throw new ExtensionError(
+                    FailureReason.dependency,
                     `${id} is dependent on ${dependenciesNotOnOpenVsx.join(", ")}, which ${dependenciesNotOnOpenVsx.length === 1 ? "has" : "have"} to be published to Open VSX first`,
                 );
             }
         }
 
+        // Packages built from sources should contain what the MS marketplace one does
+        if (!publishContext.file && options.extensionFile && publishContext.msVersion === publishContext.version) {
+            /** @type {import('../types').VSIXDiff | undefined} */
+            let diff;
+            try {
+                diff = await compareWithMarketplace(options.extensionFile, {
+                    id: extension.msMarketplaceIdOverride ?? extension.id,
+                    version: publishContext.msVersion,
+                    target: publishContext.target,
+                });
+            } catch (error) {
+                console.warn(`${id}: could not compare the package to the one on the MS marketplace: ${error}`);
+            }
+            if (diff) {
+                publishContext.vsixDiffs = {
+                    ...publishContext.vsixDiffs,
+                    [publishContext.target || "universal"]: diff,
+                };
+                if (diff.suspicious) {
+                    const message = `${id}: the package differs from the one on the MS marketplace: ${summarizeDiff(diff)}`;
+                    if (process.env.VSIX_DIFF_FAIL === "true") {
+                        throw new ExtensionError(FailureReason.package, message);
+                    }
+                    console.warn(`[WARN] ${message}`);
+                }
+            }
+        }
+
         if (options.extensionFile) {
             console.info(`Copying file to ${artifactDirectory}`);
             const outputPath = path.join(
@@ -275,6 +416,26 @@ async function buildVersion(extension, publishContext) {
             );
             fs.copyFileSync(options.extensionFile, outputPath);
             options.extensionFile = outputPath;
+
+            const sha =
+                publishContext.ref && publishContext.repo
+                    ? (await exec("git rev-parse HEAD", { cwd: publishContext.repo, quiet: true })).stdout.trim()
+                    : undefined;
+            await writeProvenance(outputPath, {
+                id: extension.id,
+                version: publishContext.version,
+                target: publishContext.target || "universal",
+                preRelease: !!publishContext.preRelease,
+                source: {
+                    repository: extension.repository,
+                    location: extension.location,
+                    ref: publishContext.ref,
+                    sha,
+                },
+                resolution: publishContext.resolution,
+                commands,
+                toolchain,
+            });
         }
 
         return options;
@@ -283,17 +444,10 @@ async function buildVersion(extension, publishContext) {
             console.log(`Could not process extension -- assuming that it already exists`);
             console.log(error);
         } else {
-            console.error(
-                `[FAIL] Could not process extension: ${JSON.stringify({ extension, publishContext }, null, 2)}`,
-            );
-            console.error(error);
+            // Let the caller record the failure, the first one if several targets failed
+            publishContext.failure ??= reportFailure(extension.id, error, { extension, publishContext });
             process.exitCode = 1;
         }
-    } finally {
-        // Clean up
-        if (extension.pythonVersion) {
-            await exec(`pyenv global ${defaultPythonVersion}`);
-        }
     }
 }
 
@@ -302,7 +456,13 @@ async function buildVersion(extension, publishContext) {
  * @param {import('../types').Extension} extension
  * @param {import('../types').PublishContext} publishContext
  */
-module.exports = async (extension, publishContext) => {
+async function buildTargets(extension, publishContext) {
+    // Also checked before resolving, extension-control may have changed since the build was dispatched
+    const verdict = checkExtensionControl([extension.id, extension.msMarketplaceIdOverride ?? extension.id]);
+    if (verdict?.blocked) {
+        throw new ExtensionError(FailureReason.blocked, `${extension.id} ${describeVerdict(verdict)}`, { verdict });
+    }
+
     publishContext.msLastUpdated = new Date(publishContext.msLastUpdated);
     publishContext.ovsxLastUpdated = new Date(publishContext.ovsxLastUpdated);
 
@@ -325,9 +485,8 @@ module.exports = async (extension, publishContext) => {
         // Build all specified targets of extension from sources
         for (const [target, targetData] of Object.entries(extension.target)) {
             publishContext.target = target;
-            if (targetData !== true) {
-                publishContext.environmentVariables = targetData.env;
-            }
+            // Don't leak the variables of the previous target into this one
+            publishContext.environmentVariables = targetData === true ? undefined : targetData.env;
             const options = await buildVersion(extension, publishContext);
             if (options) {
                 allOptions.push(options);
@@ -349,4 +508,36 @@ module.exports = async (extension, publishContext) => {
     }
 
     return extensionFiles;
-};
+}
+
+/**
+ * @param {import('../types').Extension} extension
+ * @param {import('../types').PublishContext} publishContext
+ */
+module.exports = (extension, publishContext) =>
+    exec.withExtensionLog(extension.id, {}, async () => {
+        // Reported back to the run which dispatched the build, see aggregate-results.js
+        const result = {
+            id: extension.id,
+            stage: /** @type {const} */ ("build"),
+            preRelease: !!publishContext.preRelease,
+            version: publishContext.version,
+            msVersion: publishContext.msVersion,
+            msLastUpdated: publishContext.msLastUpdated && new Date(publishContext.msLastUpdated).toISOString(),
+        };
+        try {
+            const extensionFiles = await buildTargets(extension, publishContext);
+            await writeResult({
+                ...result,
+                outcome: publishContext.failure ? "failure" : "success",
+                extensionFiles,
+                failure: publishContext.failure,
+                vsixDiffs: publishContext.vsixDiffs,
+                licenses: publishContext.licenses,
+            });
+            return extensionFiles;
+        } catch (error) {
+            await writeResult({ ...result, outcome: "failure", failure: describeFailure(extension.id, error) });
+            throw error;
+        }
+    });
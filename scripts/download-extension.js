@@ -10,6 +10,7 @@
 const path = require("path");
 const { DefaultArtifactClient } = require("@actions/artifact");
 const resolveExtension = require("../lib/resolveExtension").resolveExtension;
+const { getWorkspace } = require("../lib/workspace");
 
 module.exports = async () => {
     const extension = JSON.parse(process.env.EXTENSION);
@@ -24,10 +25,16 @@ module.exports = async () => {
             version: publishContext.msVersion,
             lastUpdated: publishContext.msLastUpdated,
         },
+        { preRelease: publishContext.preRelease },
     );
 
     const artifact = new DefaultArtifactClient();
-    await artifact.uploadArtifact("download", Object.values(publishContext.files), "/tmp/download", {
-        retentionDays: 7,
-    });
+    await artifact.uploadArtifact(
+        "download",
+        Object.values(publishContext.files),
+        getWorkspace(extension.id).download,
+        {
+            retentionDays: 7,
+        },
+    );
 };
@@ -0,0 +1,121 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const yauzl = require("yauzl-promise");
+const { resultsDirectory } = require("../lib/results");
+
+/**
+ * @param {number | string} runId
+ * @returns {string} the end of the names of the runs of publish-extension.yml dispatched by the run, see its `run-name`
+ */
+const getDispatchedRunSuffix = (runId) => `(dispatched by run ${runId})`;
+
+/**
+ * Extracts the result records of an artifact
+ * @param {string} zipFile
+ * @param {string} directory
+ */
+async function extractResults(zipFile, directory) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const zipfile = await yauzl.open(zipFile);
+    try {
+        for await (const entry of zipfile) {
+            if (entry.filename.endsWith(".json")) {
+                await pipeline(
+                    await entry.openReadStream(),
+                    fs.createWriteStream(path.join(directory, path.basename(entry.filename))),
+                );
+            }
+        }
+    } finally {
+        await zipfile.close();
+    }
+}
+
+/**
+ * Waits for the runs of publish-extension.yml the nightly run dispatched to finish, and downloads the `result-*`
+ * artifacts of the ones which did to `directory`, for aggregate-results.js to merge them into the stat.
+ * Gives up waiting after `timeout` minutes, the results of the runs which did not finish by then are missing.
+ * @param {import('octokit').Octokit} github
+ * @param {{owner: string, repo: string}} repository
+ * @param {{runId: number, dispatched: number, directory?: string, timeout?: number, interval?: number}} options
+ * `runId` of the nightly run, which dispatched `dispatched` runs, `interval` in seconds between looking the runs up
+ * @returns {Promise<number>} the number of runs whose results were downloaded
+ */
+module.exports = async (
+    github,
+    repository,
+    { runId, dispatched, directory = resultsDirectory, timeout = 300, interval = 60 },
+) => {
+    const deadline = Date.now() + timeout * 60 * 1000;
+    // Also when nothing was dispatched, for aggregate-results.js to read
+    await fs.promises.mkdir(directory, { recursive: true });
+    // Also the runs dispatched by the earlier attempts of the nightly run
+    const { data: run } = await github.rest.actions.getWorkflowRun({ ...repository, run_id: runId });
+    const suffix = getDispatchedRunSuffix(runId);
+
+    /** @type {Awaited<ReturnType<typeof github.rest.actions.listWorkflowRuns>>["data"]["workflow_runs"]} */
+    let runs;
+    for (;;) {
+        runs = (
+            await github.paginate(github.rest.actions.listWorkflowRuns, {
+                ...repository,
+                workflow_id: "publish-extension.yml",
+                event: "workflow_dispatch",
+                created: `>=${run.created_at}`,
+                per_page: 100,
+            })
+        ).filter((dispatchedRun) => dispatchedRun.display_title.endsWith(suffix));
+        const pending = runs.filter((dispatchedRun) => dispatchedRun.status !== "completed").length;
+        // Dispatched runs show up with a delay
+        const missing = Math.max(dispatched - runs.length, 0);
+        if (!pending && !missing) {
+            break;
+        }
+        if (Date.now() + interval * 1000 > deadline) {
+            console.warn(
+                `[WARN] Gave up waiting for ${pending + missing} of the ${Math.max(dispatched, runs.length)} dispatched runs, their results are missing`,
+            );
+            break;
+        }
+        console.log(`Waiting for ${pending + missing} of the ${Math.max(dispatched, runs.length)} dispatched runs...`);
+        await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+
+    let downloaded = 0;
+    for (const dispatchedRun of runs.filter((dispatchedRun) => dispatchedRun.status === "completed")) {
+        const artifacts = await github.paginate(github.rest.actions.listWorkflowRunArtifacts, {
+            ...repository,
+            run_id: dispatchedRun.id,
+            per_page: 100,
+        });
+        for (const artifact of artifacts.filter((artifact) => artifact.name.startsWith("result-"))) {
+            const { data } = await github.rest.actions.downloadArtifact({
+                ...repository,
+                artifact_id: artifact.id,
+                archive_format: "zip",
+            });
+            // By the artifact, since re-runs upload artifacts of the same names
+            const zipFile = path.join(directory, `${artifact.id}.zip`);
+            await fs.promises.writeFile(zipFile, Buffer.from(/** @type {ArrayBuffer} */ (data)));
+            await extractResults(zipFile, path.join(directory, String(artifact.id)));
+            await fs.promises.rm(zipFile);
+        }
+        downloaded++;
+    }
+    console.log(`Downloaded the results of ${downloaded} dispatched runs to ${directory}`);
+    return downloaded;
+};
+
+module.exports.getDispatchedRunSuffix = getDispatchedRunSuffix;
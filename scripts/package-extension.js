@@ -0,0 +1,27 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+//
+// Packages an extension with `vsce`, in a process of its own so that the build can kill it once its timeout is hit.
+// Usage:
+//   VSCE_PACKAGE_OPTIONS='{"cwd": "...", "packagePath": "extension.vsix"}' node scripts/package-extension.js
+//
+
+// @ts-check
+const { createVSIX } = require("@vscode/vsce");
+
+(async () => {
+    try {
+        await createVSIX(JSON.parse(process.env.VSCE_PACKAGE_OPTIONS ?? "{}"));
+    } catch (error) {
+        console.error(error instanceof Error ? error.message : String(error));
+        process.exit(1);
+    }
+})();
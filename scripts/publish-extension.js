@@ -13,7 +13,11 @@ const ovsx = require("ovsx");
 const yauzl = require("yauzl-promise");
 const xml2js = require("xml2js");
 
-const { registryHost } = require("../lib/constants");
+const { registryUrl } = require("../lib/constants");
+const { ExtensionError, FailureReason, withFailureReason, describeFailure } = require("../lib/failures");
+const { writeResult } = require("../lib/results");
+const { readProvenance, markPublished } = require("../lib/provenance");
+const { checkExtensionControl, describeVerdict } = require("../lib/extensionControl");
 
 /**
  *
@@ -76,18 +80,25 @@ async function readXmlManifest(extensionFile) {
 /**
  * @param {string} extensionId
  * @param {string[]} extensionFiles
+ * @param {boolean} preRelease whether the files are published to the pre-release channel
  */
-module.exports = async (extensionId, extensionFiles) => {
+async function publishExtension(extensionId, extensionFiles, preRelease) {
     const [namespace, extension] = extensionId.split(".");
-    console.log(`Attempting to publish ${extensionId} to Open VSX`);
+    console.log(`Attempting to publish ${extensionId}${preRelease ? " (pre-release)" : ""} to Open VSX`);
     if (!process.env.OVSX_PAT) {
-        throw new Error(
+        throw new ExtensionError(
+            FailureReason.publish,
             "The OVSX_PAT environment variable was not provided, which means the extension cannot be published. Provide it or set SKIP_PUBLISH to true to avoid seeing this.",
         );
     }
 
+    // Also checked before resolving, this is the last line of defense for the packages published by the workflows
+    const verdict = checkExtensionControl([extensionId]);
+    if (verdict?.blocked) {
+        throw new ExtensionError(FailureReason.blocked, `${extensionId} ${describeVerdict(verdict)}`, { verdict });
+    }
+
     const errors = [];
-    const registryUrl = `https://${registryHost}`;
     for (const extensionFile of extensionFiles) {
         const xmlManifest = await readXmlManifest(extensionFile);
         const publisher = xmlManifest?.PackageManifest?.Metadata[0]?.Identity[0]["$"]?.Publisher;
@@ -101,6 +112,26 @@ module.exports = async (extensionId, extensionFiles) => {
             errors.push(`Extension name mismatch. Expected ${extension}, but found ${extensionName}`);
             continue;
         }
+        // Open VSX takes the pre-release flag from the package itself, so it has to be set while packaging
+        const isPreRelease =
+            xmlManifest?.PackageManifest?.Metadata[0]?.Properties?.[0]?.Property?.find(
+                (property) => property.$.Id === "Microsoft.VisualStudio.Code.PreRelease",
+            )?.$.Value === "true";
+        if (preRelease && !isPreRelease) {
+            errors.push(`${extensionFile} is not packaged as a pre-release`);
+            continue;
+        }
+        // Committed to the `provenance` branch once the package is published, see publish-provenance.js
+        let provenance;
+        try {
+            provenance = await readProvenance(extensionFile);
+        } catch (error) {
+            errors.push(error.message);
+            continue;
+        }
+        if (!provenance) {
+            console.warn(`[WARN] ${extensionFile} has no provenance document`);
+        }
 
         // Create a public Open VSX namespace if needed.
         try {
@@ -112,11 +143,36 @@ module.exports = async (extensionId, extensionFiles) => {
 
         console.info(`Publishing extension ${extensionId}`);
         const options = { extensionFile, registryUrl };
-        await ovsx.publish(options);
+        await withFailureReason(FailureReason.publish, () => ovsx.publish(options));
         console.log(`Published ${options.extensionFile} to ${options.registryUrl}/extension/${namespace}/${extension}`);
+        if (provenance) {
+            await markPublished(extensionFile, provenance, registryUrl);
+        }
     }
 
     if(errors.length > 0) {
-        throw new Error(errors.join('\n'))
+        throw new ExtensionError(FailureReason.publish, errors.join('\n'))
+    }
+}
+
+/**
+ * @param {string} extensionId
+ * @param {string[]} extensionFiles
+ * @param {boolean} [preRelease] whether the files are published to the pre-release channel
+ */
+module.exports = async (extensionId, extensionFiles, preRelease = false) => {
+    // Either the build failed and reported why, or the version is on Open VSX already
+    if (!extensionFiles.length) {
+        console.log(`${extensionId}: skipping, since there are no packages to publish`);
+        return;
+    }
+    // Reported back to the run which dispatched the publish, see aggregate-results.js
+    const result = { id: extensionId, stage: /** @type {const} */ ("publish"), preRelease, extensionFiles };
+    try {
+        await publishExtension(extensionId, extensionFiles, preRelease);
+    } catch (error) {
+        await writeResult({ ...result, outcome: "failure", failure: describeFailure(extensionId, error) });
+        throw error;
     }
+    await writeResult({ ...result, outcome: "success" });
 };
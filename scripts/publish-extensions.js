@@ -10,15 +10,28 @@
 
 // @ts-check
 const fs = require("fs");
-const { RateLimiter } = require('limiter');
-const { getPublicGalleryAPI } = require("@vscode/vsce/out/util");
+const { RateLimiter } = require("limiter");
 const { PublicGalleryAPI } = require("@vscode/vsce/out/publicgalleryapi");
 const { ExtensionQueryFlags, PublishedExtension } = require("azure-devops-node-api/interfaces/GalleryInterfaces");
 const semver = require("semver");
 const Ajv = require("ajv/dist/2020").default;
 const resolveExtension = require("../lib/resolveExtension").resolveExtension;
 const exec = require("../lib/exec");
-const { registryHost } = require("../lib/constants");
+const { registryUrl, msGalleryUrl } = require("../lib/constants");
+const { cleanWorkspace } = require("../lib/workspace");
+const { getRepositoryKey, removeRepository } = require("../lib/repositories");
+const {
+    isBuiltIn,
+    getDependencies,
+    queryLatestVersions,
+    findCycles,
+    sortTopologically,
+} = require("../lib/dependencies");
+const { formatPlan } = require("../lib/plan");
+const { ExtensionError, FailureReason, reportFailure, recordFailure } = require("../lib/failures");
+const { appendToHistory } = require("../lib/history");
+const { checkExtensionControl, describeVerdict } = require("../lib/extensionControl");
+const { forgetExtension, openCheckpoint } = require("../lib/checkpoint");
 
 /**
  * Checks whether the provided `version` is a prerelease or not
@@ -30,14 +43,115 @@ function isPreReleaseVersion(version) {
     return values.length > 0 && values[0].value === "true";
 }
 
+/**
+ * Compares the versions on both marketplaces and returns the stat category the extension belongs to
+ * @param {string | undefined} msVersion
+ * @param {string | undefined} ovsxVersion
+ * @returns {"notInMS" | "notInOpen" | "upToDate" | "outdated" | "unstable" | undefined}
+ */
+function compareVersions(msVersion, ovsxVersion) {
+    if (!msVersion) {
+        return "notInMS";
+    }
+    if (!ovsxVersion) {
+        return "notInOpen";
+    }
+    if (semver.eq(msVersion, ovsxVersion)) {
+        return "upToDate";
+    }
+    // Some extensions have versioning which is a bit different, like for example in the format of 1.71.8240911. If this is the case and we don't have this version published, we do some more checking to get more context about this version string.
+    const weirdVersionNumberPattern = new RegExp(/^\d{1,3}\.\d{1,}\.\d{4,}/g); // https://regexr.com/6t02m
+    if (msVersion.match(weirdVersionNumberPattern)) {
+        if (
+            `${semver.major(msVersion)}.${semver.minor(msVersion)}` ===
+            `${semver.major(ovsxVersion)}.${semver.minor(ovsxVersion)}`
+        ) {
+            // If major.minor are the same on both marketplaces, we assume we're up-to-date
+            return "upToDate";
+        }
+        return "outdated";
+    }
+    if (semver.gt(msVersion, ovsxVersion)) {
+        return "outdated";
+    }
+    if (semver.lt(msVersion, ovsxVersion)) {
+        return "unstable";
+    }
+    return undefined;
+}
+
+/**
+ * The pre-release channel is built and published on its own, with the pre-release versions in place of the stable ones
+ * @param {import('../types').PublishContext} context
+ * @returns {import('../types').PublishContext}
+ */
+function toPreReleaseContext(context) {
+    return {
+        ...context,
+        preRelease: true,
+        msVersion: context.msPreReleaseVersion,
+        msLastUpdated: context.msPreReleaseLastUpdated,
+        ovsxVersion: context.ovsxPreReleaseVersion,
+        ovsxLastUpdated: context.ovsxPreReleaseLastUpdated,
+    };
+}
+
+/**
+ * Applies the resolved ref or release assets to the publish context
+ * @param {Readonly<import('../types').Extension>} extension
+ * @param {import('../types').PublishContext} context
+ * @param {import('../types').ResolvedExtension | undefined} resolved
+ */
+function applyResolution(extension, context, resolved) {
+    const name = context.preRelease ? `${extension.id} (pre-release)` : extension.id;
+    if (resolved && !resolved?.resolution.releaseAsset) {
+        context.repo = resolved.path;
+    }
+    context.resolution = resolved?.resolution;
+
+    if (resolved?.resolution?.releaseAsset) {
+        console.log(`${name}: resolved from release`);
+        context.files = resolved.files;
+    } else if (resolved?.resolution?.releaseTag) {
+        console.log(`${name}: resolved ${resolved.resolution.releaseTag} from release tag`);
+        context.ref = resolved.resolution.releaseTag;
+    } else if (resolved?.resolution?.tag) {
+        console.log(`${name}: resolved ${resolved.resolution.tag} from tags`);
+        context.ref = resolved.resolution.tag;
+    } else if (resolved?.resolution?.latest) {
+        if (context.msVersion) {
+            console.log(
+                `${name}: resolved ${resolved.resolution.latest} from the very latest commit, since it is not actively maintained`,
+            );
+        } else {
+            console.log(
+                `${name}: resolved ${resolved.resolution.latest} from the very latest commit, since it is not published to MS marketplace`,
+            );
+        }
+        context.ref = resolved.resolution.latest;
+    } else if (resolved?.resolution?.matchedLatest) {
+        console.log(`${name}: resolved ${resolved.resolution.matchedLatest} from the very latest commit`);
+        context.ref = resolved.resolution.matchedLatest;
+    } else if (resolved?.resolution?.matched) {
+        console.log(`${name}: resolved ${resolved.resolution.matched} from the latest commit on the last update date`);
+        context.ref = resolved.resolution.matched;
+    } else {
+        throw new ExtensionError(FailureReason.resolve, `${name}: failed to resolve`);
+    }
+}
+
 // @ts-check
-/** @param {(extension, publishContext) => void} doPublish */
-module.exports = async (doPublish) => {
-    const msGalleryApi = getPublicGalleryAPI();
+/**
+ * @param {(extension, publishContext) => Promise<void>} doPublish
+ * @param {{dispatch?: boolean}} [options] `dispatch` if `doPublish` only dispatches the build and publish to a workflow run
+ * of their own, like the nightly workflow does, so that the extension is not published yet once it returns
+ */
+module.exports = async (doPublish, { dispatch = false } = {}) => {
+    const msGalleryApi = new PublicGalleryAPI(msGalleryUrl, "3.0-preview.1");
     msGalleryApi.client["_allowRetries"] = true;
     msGalleryApi.client["_maxRetries"] = 5;
 
-    const openGalleryApi = new PublicGalleryAPI(`https://${registryHost}/vscode`, "3.0-preview.1");
+    const openGalleryApi = new PublicGalleryAPI(`${registryUrl}/vscode`, "3.0-preview.1");
     openGalleryApi.client["_allowRetries"] = true;
     openGalleryApi.client["_maxRetries"] = 5;
     openGalleryApi.post = (url, data, additionalHeaders) =>
@@ -84,30 +198,109 @@ module.exports = async (doPublish) => {
         notInOpen: {},
         notInMS: [],
         failed: [],
+        timedOut: [],
+        failures: {},
+        deferred: {},
+        unresolvableDependencies: {},
+        dependencyCycles: [],
+        blocked: {},
 
         msPublished: {},
         hitMiss: {},
         resolutions: {},
+        vsixDiffs: {},
+        licenses: {},
+
+        preRelease: {
+            upToDate: {},
+            outdated: {},
+            unstable: {},
+            notInOpen: {},
+            resolutions: {},
+            failed: [],
+            failures: {},
+        },
     };
     const monthAgo = new Date();
     monthAgo.setMonth(monthAgo.getMonth() - 1);
-    const limiter = new RateLimiter({ tokensPerInterval: 50, interval: 'second' });
-    for (const id in extensions) {
-        if (id === "$schema") {
-            continue;
+    const limiter = new RateLimiter({ tokensPerInterval: 50, interval: "second" });
+
+    // Only compare the versions (and resolve them with PLAN_RESOLVE) to tell what a run would do, see plan-extensions.js
+    const planOnly = process.env.PLAN === "true";
+    /** @type {import('../types').PlanEntry[]} */
+    const plan = [];
+
+    // Builds run at once, up to CONCURRENCY: every build gets the environment variables of its own and takes turns
+    // installing Node and Python versions only, see build-extension.js.
+    // In the nightly workflow, `doPublish` only dispatches the build to a run of its own.
+    // The extensions published to Open VSX in this run, so that the builds of their dependents don't look them up there
+    /** @type {Set<string>} */
+    const publishedInRun = new Set();
+    // The extensions dispatched in this run which are not on Open VSX yet, their dependents have to wait for the next run
+    /** @type {Set<string>} */
+    const dispatchedNotOnOpenVsx = new Set();
+    /** @type {typeof doPublish} */
+    const publish = async (extension, publishContext) => {
+        if (!dispatch) {
+            publishContext.publishedInRun = [...publishedInRun];
+        }
+        await doPublish(extension, publishContext);
+        if (publishContext.preRelease || publishContext.failure) {
+            return;
         }
-        if (toVerify && !toVerify.includes(id)) {
-            continue;
+        if (!dispatch) {
+            publishedInRun.add(extension.id);
+        } else if (!publishContext.ovsxVersion) {
+            dispatchedNotOnOpenVsx.add(extension.id);
         }
+    };
+
+    /**
+     * @param {string} id
+     */
+    async function processExtension(id) {
         const extension = Object.freeze({ id, ...extensions[id] });
         /** @type {import('../types').PublishContext} */
         const context = {};
-        let timeoutDelay = Number(extension.timeout);
-        if (!Number.isInteger(timeoutDelay)) {
-            timeoutDelay = 5;
+
+        /**
+         * Waits for the extensions of this run the extension depends on to be published first
+         * @returns {Promise<boolean>} whether the extension can be published
+         */
+        async function checkDependencies() {
+            if (stat.unresolvableDependencies[extension.id]) {
+                console.log(
+                    `${extension.id}: skipping, since ${stat.unresolvableDependencies[extension.id].join(", ")} neither ${stat.unresolvableDependencies[extension.id].length === 1 ? "is" : "are"} on Open VSX nor published in this run`,
+                );
+                return false;
+            }
+            const failedDependencies = await waitForDependencies(extension.id);
+            if (failedDependencies.length) {
+                const dispatched = failedDependencies.filter((dependency) => dispatchedNotOnOpenVsx.has(dependency));
+                console.log(
+                    dispatched.length
+                        ? `${extension.id}: deferred to the next run, since ${dispatched.join(", ")} ${dispatched.length === 1 ? "is" : "are"} only dispatched to be published in this run`
+                        : `${extension.id}: deferred, since ${failedDependencies.join(", ")} could not be published`,
+                );
+                stat.deferred[extension.id] = failedDependencies;
+                return false;
+            }
+            return true;
+        }
+
+        const verdict = checkExtensionControl([extension.id, extension.msMarketplaceIdOverride ?? extension.id]);
+        if (verdict?.blocked) {
+            console.log(`${extension.id}: skipping, since it ${describeVerdict(verdict)}`);
+            stat.blocked[extension.id] = verdict;
+            return;
         }
+        if (verdict) {
+            console.warn(`[WARN] ${extension.id} ${describeVerdict(verdict)}`);
+        }
+
         try {
             const extensionId = extension.msMarketplaceIdOverride ?? extension.id;
+            await limiter.removeTokens(1);
             /** @type {[PromiseSettledResult<PublishedExtension | undefined>]} */
             let [msExtension] = await Promise.allSettled([msGalleryApi.getExtension(extensionId, flags)]);
             if (msExtension.status === "fulfilled") {
@@ -118,6 +311,20 @@ module.exports = async (doPublish) => {
                 context.msLastUpdated = lastNonPrereleaseVersion?.lastUpdated;
                 context.msInstalls = msExtension.value?.statistics?.find((s) => s.statisticName === "install")?.value;
                 context.msPublisher = msExtension.value?.publisher.publisherName;
+
+                if (extension.preRelease) {
+                    const lastPrereleaseVersion = msExtension.value?.versions.find((version) =>
+                        isPreReleaseVersion(version.properties),
+                    );
+                    // Only track pre-releases which are ahead of the stable channel
+                    if (
+                        lastPrereleaseVersion &&
+                        (!context.msVersion || semver.gt(lastPrereleaseVersion.version, context.msVersion))
+                    ) {
+                        context.msPreReleaseVersion = lastPrereleaseVersion.version;
+                        context.msPreReleaseLastUpdated = lastPrereleaseVersion.lastUpdated;
+                    }
+                }
             }
 
             // Check if the extension is published by either Microsoft or GitHub
@@ -129,11 +336,21 @@ module.exports = async (doPublish) => {
             }
 
             async function updateStat() {
+                await limiter.removeTokens(1);
                 /** @type {[PromiseSettledResult<PublishedExtension | undefined>]} */
                 const [ovsxExtension] = await Promise.allSettled([openGalleryApi.getExtension(extension.id, flags)]);
                 if (ovsxExtension.status === "fulfilled") {
-                    context.ovsxVersion = ovsxExtension.value?.versions[0]?.version;
-                    context.ovsxLastUpdated = ovsxExtension.value?.versions[0]?.lastUpdated;
+                    const lastNonPrereleaseVersion = ovsxExtension.value?.versions.find(
+                        (version) => !isPreReleaseVersion(version.properties),
+                    );
+                    context.ovsxVersion = lastNonPrereleaseVersion?.version;
+                    context.ovsxLastUpdated = lastNonPrereleaseVersion?.lastUpdated;
+
+                    const lastPrereleaseVersion = ovsxExtension.value?.versions.find((version) =>
+                        isPreReleaseVersion(version.properties),
+                    );
+                    context.ovsxPreReleaseVersion = lastPrereleaseVersion?.version;
+                    context.ovsxPreReleaseLastUpdated = lastPrereleaseVersion?.lastUpdated;
                 }
                 const daysInBetween =
                     context.ovsxLastUpdated && context.msLastUpdated
@@ -156,34 +373,11 @@ module.exports = async (doPublish) => {
                 delete stat.unstable[extension.id];
                 delete stat.hitMiss[extension.id];
 
-                if (!context.msVersion) {
+                const category = compareVersions(context.msVersion, context.ovsxVersion);
+                if (category === "notInMS") {
                     stat.notInMS.push(extension.id);
-                } else if (!context.ovsxVersion) {
-                    stat.notInOpen[extension.id] = extStat;
-                } else if (semver.eq(context.msVersion, context.ovsxVersion)) {
-                    stat.upToDate[extension.id] = extStat;
-                } else {
-                    // Some extensions have versioning which is a bit different, like for example in the format of 1.71.8240911. If this is the case and we don't have this version published, we do some more checking to get more context about this version string.
-                    const weirdVersionNumberPattern = new RegExp(/^\d{1,3}\.\d{1,}\.\d{4,}/g); // https://regexr.com/6t02m
-                    if (context.msVersion.match(weirdVersionNumberPattern)) {
-                        if (
-                            `${semver.major(context.msVersion)}.${semver.minor(context.msVersion)}` ===
-                            `${semver.major(context.ovsxVersion)}.${semver.minor(context.ovsxVersion)}`
-                        ) {
-                            // If major.minor are the same on both marketplaces, we assume we're up-to-date
-                            stat.upToDate[extension.id] = extStat;
-                            debugger;
-                        } else {
-                            stat.outdated[extension.id] = extStat;
-                            debugger;
-                        }
-                    } else {
-                        if (semver.gt(context.msVersion, context.ovsxVersion)) {
-                            stat.outdated[extension.id] = extStat;
-                        } else if (semver.lt(context.msVersion, context.ovsxVersion)) {
-                            stat.unstable[extension.id] = extStat;
-                        }
-                    }
+                } else if (category) {
+                    stat[category][extension.id] = extStat;
                 }
 
                 if (
@@ -193,17 +387,196 @@ module.exports = async (doPublish) => {
                 ) {
                     stat.hitMiss[extension.id] = extStat;
                 }
+
+                for (const category of ["upToDate", "outdated", "unstable", "notInOpen"]) {
+                    delete stat.preRelease[category][extension.id];
+                }
+                if (context.msPreReleaseVersion) {
+                    const preReleaseCategory = compareVersions(
+                        context.msPreReleaseVersion,
+                        context.ovsxPreReleaseVersion,
+                    );
+                    if (preReleaseCategory && preReleaseCategory !== "notInMS") {
+                        stat.preRelease[preReleaseCategory][extension.id] = {
+                            msInstalls: context.msInstalls,
+                            msVersion: context.msPreReleaseVersion,
+                            openVersion: context.ovsxPreReleaseVersion,
+                            daysInBetween:
+                                context.ovsxPreReleaseLastUpdated && context.msPreReleaseLastUpdated
+                                    ? (context.ovsxPreReleaseLastUpdated.getTime() -
+                                          context.msPreReleaseLastUpdated.getTime()) /
+                                      (1000 * 3600 * 24)
+                                    : undefined,
+                        };
+                    }
+                }
+            }
+
+            async function publishPreRelease() {
+                const preReleaseContext = toPreReleaseContext(context);
+
+                if (process.env.FORCE !== "true") {
+                    if (stat.preRelease.upToDate[extension.id]) {
+                        console.log(`${extension.id}: skipping pre-release, since up-to-date`);
+                        return;
+                    }
+                    if (stat.preRelease.unstable[extension.id]) {
+                        console.log(
+                            `${extension.id}: skipping pre-release, since version in Open VSX is newer than in MS marketplace`,
+                        );
+                        return;
+                    }
+                }
+
+                await cleanWorkspace(extension.id);
+                await limiter.removeTokens(1);
+                const resolved = await resolveExtension(
+                    extension,
+                    {
+                        version: preReleaseContext.msVersion,
+                        lastUpdated: preReleaseContext.msLastUpdated,
+                    },
+                    { preRelease: true, cache: true },
+                );
+                stat.preRelease.resolutions[extension.id] = {
+                    msInstalls: context.msInstalls,
+                    msVersion: preReleaseContext.msVersion,
+                    ...resolved?.resolution,
+                };
+                preReleaseContext.version = resolved?.version;
+                applyResolution(extension, preReleaseContext, resolved);
+
+                if (process.env.SKIP_BUILD === "true" || !(await checkDependencies())) {
+                    return;
+                }
+
+                await limiter.removeTokens(1);
+                await publish(extension, preReleaseContext);
+                if (preReleaseContext.failure) {
+                    recordFailure(stat, extension.id, preReleaseContext.failure, true);
+                }
+            }
+
+            /**
+             * Records what a run would do with the extension, without building or publishing it
+             * @param {import('../types').PublishContext} planContext
+             */
+            async function addToPlan(planContext) {
+                const stats = planContext.preRelease ? stat.preRelease : stat;
+                /** @type {import('../types').PlanEntry} */
+                const entry = {
+                    id: extension.id,
+                    channel: planContext.preRelease ? "pre-release" : "stable",
+                    action: "build",
+                    reason: "",
+                    version: planContext.msVersion,
+                    msVersion: planContext.msVersion,
+                    ovsxVersion: planContext.ovsxVersion,
+                };
+                plan.push(entry);
+
+                if (process.env.FORCE !== "true" && stats.upToDate[extension.id]) {
+                    entry.action = "skip-up-to-date";
+                    entry.reason = `${planContext.ovsxVersion} is already published to Open VSX`;
+                    return;
+                }
+                if (process.env.FORCE !== "true" && stats.unstable[extension.id]) {
+                    entry.action = "skip-unstable";
+                    entry.reason = `Open VSX has ${planContext.ovsxVersion}, which is newer than ${planContext.msVersion} in MS marketplace`;
+                    return;
+                }
+                if (!planContext.msVersion) {
+                    entry.reason = "not published to MS marketplace, the very latest commit is published";
+                } else if (!planContext.ovsxVersion) {
+                    entry.reason = "not published to Open VSX yet";
+                } else {
+                    entry.reason = `Open VSX has ${planContext.ovsxVersion}, MS marketplace ${planContext.msVersion}`;
+                }
+                if (process.env.PLAN_RESOLVE !== "true") {
+                    return;
+                }
+
+                await cleanWorkspace(extension.id);
+                await limiter.removeTokens(1);
+                const resolved = await resolveExtension(
+                    extension,
+                    planContext.msVersion && {
+                        version: planContext.msVersion,
+                        lastUpdated: planContext.msLastUpdated,
+                    },
+                    // Neither reused nor stored, a later run has to resolve on its own
+                    { preRelease: planContext.preRelease, cache: false },
+                );
+                try {
+                    applyResolution(extension, planContext, resolved);
+                } catch {
+                    entry.action = "unresolved";
+                    entry.reason = "no release asset, tag or commit matches the version";
+                    return;
+                }
+                entry.version = resolved?.version;
+                entry.resolution = resolved?.resolution;
+                if (resolved?.resolution.releaseAsset) {
+                    entry.action = "publish-from-release";
+                    entry.reason += `; ${Object.keys(planContext.files ?? {}).join(", ")} attached to the latest release`;
+                } else if (
+                    process.env.FORCE !== "true" &&
+                    resolved?.resolution.latest &&
+                    resolved.version === planContext.ovsxVersion
+                ) {
+                    entry.action = "skip-up-to-date";
+                    entry.reason = "the very latest commit is already published to Open VSX";
+                } else {
+                    entry.ref = planContext.ref;
+                    entry.reason += `; building ${planContext.ref}`;
+                }
             }
 
             await updateStat();
-            await exec("rm -rf /tmp/repository /tmp/download", { quiet: true });
 
+            if (planOnly) {
+                await addToPlan({ ...context });
+                if (context.msPreReleaseVersion) {
+                    await addToPlan(toPreReleaseContext(context));
+                }
+                return;
+            }
+
+            if (context.msPreReleaseVersion) {
+                try {
+                    await publishPreRelease();
+                } catch (error) {
+                    const publishContext = { ...context, preRelease: true };
+                    recordFailure(
+                        stat,
+                        extension.id,
+                        reportFailure(extension.id, error, { extension, publishContext }),
+                        true,
+                    );
+                }
+            }
+
+            // Before resolving, which downloads the release assets or clones the repository
+            if (process.env.FORCE !== "true") {
+                if (stat.upToDate[extension.id]) {
+                    console.log(`${extension.id}: skipping, since up-to-date`);
+                    return;
+                }
+                if (stat.unstable[extension.id]) {
+                    console.log(`${extension.id}: skipping, since version in Open VSX is newer than in MS marketplace`);
+                    return;
+                }
+            }
+
+            await cleanWorkspace(extension.id);
+            await limiter.removeTokens(1);
             const resolved = await resolveExtension(
                 extension,
                 context.msVersion && {
                     version: context.msVersion,
                     lastUpdated: context.msLastUpdated,
                 },
+                { cache: true },
             );
             stat.resolutions[extension.id] = {
                 msInstalls: context.msInstalls,
@@ -213,76 +586,198 @@ module.exports = async (doPublish) => {
             context.version = resolved?.version;
 
             if (process.env.FORCE !== "true") {
-                if (stat.upToDate[extension.id]) {
-                    console.log(`${extension.id}: skipping, since up-to-date`);
-                    continue;
-                }
-                if (stat.unstable[extension.id]) {
-                    console.log(`${extension.id}: skipping, since version in Open VSX is newer than in MS marketplace`);
-                    continue;
-                }
                 if (resolved?.resolution?.latest && context.version === context.ovsxVersion) {
                     console.log(`${extension.id}: skipping, since very latest commit already published to Open VSX`);
                     stat.upToDate[extension.id] = stat.outdated[extension.id];
                     delete stat.outdated[extension.id];
-                    continue;
+                    return;
                 }
             }
 
-            if (resolved && !resolved?.resolution.releaseAsset) {
-                context.repo = resolved.path;
-            }
-
-            if (resolved?.resolution?.releaseAsset) {
-                console.log(`${extension.id}: resolved from release`);
-                context.files = resolved.files;
-            } else if (resolved?.resolution?.releaseTag) {
-                console.log(`${extension.id}: resolved ${resolved.resolution.releaseTag} from release tag`);
-                context.ref = resolved.resolution.releaseTag;
-            } else if (resolved?.resolution?.tag) {
-                console.log(`${extension.id}: resolved ${resolved.resolution.tag} from tags`);
-                context.ref = resolved.resolution.tag;
-            } else if (resolved?.resolution?.latest) {
-                if (context.msVersion) {
-                    console.log(
-                        `${extension.id}: resolved ${resolved.resolution.latest} from the very latest commit, since it is not actively maintained`,
-                    );
-                } else {
-                    console.log(
-                        `${extension.id}: resolved ${resolved.resolution.latest} from the very latest commit, since it is not published to MS marketplace`,
-                    );
-                }
-                context.ref = resolved.resolution.latest;
-            } else if (resolved?.resolution?.matchedLatest) {
-                console.log(
-                    `${extension.id}: resolved ${resolved.resolution.matchedLatest} from the very latest commit`,
-                );
-                context.ref = resolved.resolution.matchedLatest;
-            } else if (resolved?.resolution?.matched) {
-                console.log(
-                    `${extension.id}: resolved ${resolved.resolution.matched} from the latest commit on the last update date`,
-                );
-                context.ref = resolved.resolution.matched;
-            } else {
-                throw `${extension.id}: failed to resolve`;
-            }
+            applyResolution(extension, context, resolved);
 
-            if (process.env.SKIP_BUILD === "true") {
-                continue;
+            if (process.env.SKIP_BUILD === "true" || !(await checkDependencies())) {
+                return;
             }
 
             await limiter.removeTokens(1);
-            await doPublish(extension, context);
+            await publish(extension, context);
+            if (context.vsixDiffs) {
+                stat.vsixDiffs[extension.id] = context.vsixDiffs;
+            }
+            if (context.licenses) {
+                stat.licenses[extension.id] = context.licenses;
+            }
+            // Builds report their failures through the context, see `buildVersion`
+            if (context.failure) {
+                recordFailure(stat, extension.id, context.failure, false);
+            }
         } catch (error) {
-            stat.failed.push(extension.id);
-            console.error(
-                `[FAIL] Could not process extension: ${JSON.stringify({ extension, publishContext: context }, null, 2)}`,
+            recordFailure(
+                stat,
+                extension.id,
+                reportFailure(extension.id, error, { extension, publishContext: context }),
+                false,
             );
-            console.error(error);
         }
     }
 
-    // TODO how to collect stats with multi stage workflow?
+    const ids = Object.keys(extensions).filter((id) => id !== "$schema" && (!toVerify || toVerify.includes(id)));
+    // The stat and the progress are persisted after every extension, so that an interrupted run can be resumed with RESUME=true
+    const checkpoint = planOnly ? undefined : await openCheckpoint(toVerify, { resume: process.env.RESUME === "true" });
+    if (checkpoint?.stat) {
+        Object.assign(stat, checkpoint.stat);
+        // The pending and failed extensions are processed again
+        for (const id of ids.filter((id) => !checkpoint.completed.has(id))) {
+            forgetExtension(stat, id);
+        }
+    }
+    let concurrency = Number(process.env.CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        concurrency = 1;
+    }
+    // The `extensionDependencies` and `extensionPack` of the latest versions on the MS marketplace, among the extensions of this run
+    /** @type {Map<string, string[]>} */
+    const dependencies = new Map();
+    const byLowerCaseId = new Map(ids.map((id) => [id.toLowerCase(), id]));
+    /** @type {Map<string, string[]>} */
+    const otherDependencies = new Map();
+    try {
+        const msExtensions = await queryLatestVersions(
+            msGalleryApi,
+            ids.map((id) => extensions[id].msMarketplaceIdOverride ?? id),
+            () => limiter.removeTokens(1),
+        );
+        for (const id of ids) {
+            const msExtension = msExtensions.get((extensions[id].msMarketplaceIdOverride ?? id).toLowerCase());
+            const all = getDependencies(msExtension?.versions?.[0]?.properties).filter(
+                (dependency) => !isBuiltIn(dependency),
+            );
+            dependencies.set(
+                id,
+                all.flatMap((dependency) => byLowerCaseId.get(dependency.toLowerCase()) ?? []),
+            );
+            otherDependencies.set(
+                id,
+                all.filter((dependency) => !byLowerCaseId.has(dependency.toLowerCase())),
+            );
+        }
+        const onOpenVsx = await queryLatestVersions(
+            openGalleryApi,
+            [...new Set([...otherDependencies.values()].flat())],
+            () => limiter.removeTokens(1),
+        );
+        for (const [id, other] of otherDependencies) {
+            const unresolvable = other.filter((dependency) => !onOpenVsx.has(dependency.toLowerCase()));
+            if (unresolvable.length) {
+                stat.unresolvableDependencies[id] = unresolvable;
+            }
+        }
+    } catch (error) {
+        console.warn(
+            `[WARN] Could not look up the dependencies, the extensions are published in their order: ${error}`,
+        );
+        dependencies.clear();
+    }
+    stat.dependencyCycles = findCycles(ids, dependencies);
+    for (const cycle of stat.dependencyCycles) {
+        console.warn(`[WARN] ${cycle.join(", ")} depend on each other, so they cannot be published in order`);
+    }
+
+    // Extensions of the same repository are processed one after another by the same worker,
+    // so that they share the clone of the repository, and the checkout and the dependencies if they build the same ref
+    /** @type {Map<string, string[]>} */
+    const groups = new Map();
+    for (const id of sortTopologically(ids, (id) => dependencies.get(id) ?? [])) {
+        const key = extensions[id].repository ? getRepositoryKey(extensions[id].repository) : id;
+        groups.set(key, [...(groups.get(key) ?? []), id]);
+    }
+    /** @type {Map<string, string[]>} */
+    const groupOf = new Map([...groups.values()].flatMap((group) => group.map((id) => [id, group])));
+    // Dependencies are published first, as far as the cycles and the grouping by repository allow
+    const queue = sortTopologically([...groups.values()], (group) =>
+        group.flatMap((id) =>
+            (dependencies.get(id) ?? []).map((dependency) => /** @type {string[]} */ (groupOf.get(dependency))),
+        ),
+    );
+    const position = new Map(queue.flat().map((id, index) => [id, index]));
+
+    /** @type {Map<string, (published: boolean) => void>} */
+    const settle = new Map();
+    /**
+     * Whether the extension is on Open VSX for the extensions depending on it, once it is processed.
+     * Extensions which are not on Open VSX yet and only dispatched to be published are not, see `dispatchedNotOnOpenVsx`.
+     * @type {Map<string, Promise<boolean>>}
+     */
+    const processed = new Map(ids.map((id) => [id, new Promise((resolve) => settle.set(id, resolve))]));
+
+    /**
+     * Only the dependencies coming earlier in the queue are waited for, the others would never be processed first
+     * @param {string} id
+     * @returns {Promise<string[]>} the dependencies which could not be published
+     */
+    const waitForDependencies = async (id) => {
+        const failed = [];
+        for (const dependency of dependencies.get(id) ?? []) {
+            if (
+                /** @type {number} */ (position.get(dependency)) < /** @type {number} */ (position.get(id)) &&
+                !(await processed.get(dependency))
+            ) {
+                failed.push(dependency);
+            }
+        }
+        return failed;
+    };
+
+    let next = 0;
+    const worker = async () => {
+        while (next < queue.length) {
+            const group = queue[next++];
+            for (const id of group) {
+                if (checkpoint?.completed.has(id)) {
+                    console.log(`${id}: skipping, since it was completed before the run was interrupted`);
+                    settle.get(id)?.(true);
+                    continue;
+                }
+                try {
+                    await exec.withExtensionLog(id, { prefix: concurrency > 1 }, () => processExtension(id));
+                } finally {
+                    const processed =
+                        !stat.failures[id] &&
+                        !stat.deferred[id] &&
+                        !stat.unresolvableDependencies[id] &&
+                        !stat.blocked[id];
+                    settle.get(id)?.(processed && !dispatchedNotOnOpenVsx.has(id));
+                    // With `dispatch`, the extension is completed once it is dispatched: resuming does not dispatch it again,
+                    // whatever its run comes to. Those outcomes only reach the stat through aggregate-results.js.
+                    await checkpoint?.record(id, processed && !stat.preRelease.failures[id], stat);
+                }
+            }
+            const { repository } = extensions[group[0]];
+            if (repository) {
+                await removeRepository(repository);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    if (planOnly) {
+        plan.sort((a, b) => a.id.localeCompare(b.id) || a.channel.localeCompare(b.channel));
+        await fs.promises.writeFile("/tmp/plan.json", JSON.stringify(plan, undefined, 2), { encoding: "utf8" });
+        await fs.promises.writeFile("/tmp/plan.md", formatPlan(plan), { encoding: "utf8" });
+        console.log(formatPlan(plan));
+        // The stat of the last run is kept, for the reports not to take a plan for a run
+        process.exit();
+    }
+
+    // The builds and publishes dispatched to other workflow runs are merged into it afterwards, see aggregate-results.js
     await fs.promises.writeFile("/tmp/stat.json", JSON.stringify(stat), { encoding: "utf8" });
+    // Runs of some of the extensions only would distort the trends. With `dispatch`, the stat is only complete once
+    // the results of the dispatched runs are merged into it, so aggregate-results.js appends it then.
+    if (!toVerify && !dispatch) {
+        await appendToHistory(stat);
+    }
     process.exit();
 };
+
+module.exports.compareVersions = compareVersions;
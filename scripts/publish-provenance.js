@@ -0,0 +1,131 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const { getPublishedProvenancePath, provenanceBranch } = require("../lib/provenance");
+
+// The runs of all extensions commit to the branch at once, so updating it may conflict with another run
+const attempts = 5;
+
+/**
+ * @param {unknown} error
+ * @returns {number} the HTTP status of a failed request to the GitHub API, `0` for other errors
+ */
+const getStatus = (error) => /** @type {{status?: number}} */ (error)?.status ?? 0;
+
+/**
+ * @param {unknown} error
+ * @returns {boolean} whether the branch moved while the document was committed
+ */
+const isConflict = (error) => [409, 422].includes(getStatus(error));
+
+/**
+ * Creates the branch the provenance documents are committed to, without any history of the repository, unless it exists
+ * @param {import('octokit').Octokit} github
+ * @param {{owner: string, repo: string}} repository
+ */
+const ensureBranch = async (github, repository) => {
+    try {
+        await github.rest.repos.getBranch({ ...repository, branch: provenanceBranch });
+        return;
+    } catch (error) {
+        if (getStatus(error) !== 404) {
+            throw error;
+        }
+    }
+    const { data: tree } = await github.rest.git.createTree({
+        ...repository,
+        tree: [
+            {
+                path: "README.md",
+                mode: "100644",
+                type: "blob",
+                content:
+                    "Provenance documents of the extensions published to Open VSX by this repository, at `<id>/<version>/<target>.json`. See DEVELOPMENT.md on the default branch.\n",
+            },
+        ],
+    });
+    const { data: commit } = await github.rest.git.createCommit({
+        ...repository,
+        message: "Add provenance documents",
+        tree: tree.sha,
+        parents: [],
+    });
+    try {
+        await github.rest.git.createRef({ ...repository, ref: `refs/heads/${provenanceBranch}`, sha: commit.sha });
+    } catch (error) {
+        // Created by another run in the meantime
+        if (!isConflict(error)) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Commits the provenance documents of the published packages to the `provenance` branch of the repository,
+ * so that the users of Open VSX can look up where a package comes from
+ * @param {import('octokit').Octokit} github
+ * @param {{owner: string, repo: string}} repository
+ * @param {string[]} provenanceFiles
+ * @returns {Promise<string[]>} the paths of the documents on the branch
+ */
+module.exports = async (github, repository, provenanceFiles) => {
+    /** @type {string[]} */
+    const committed = [];
+    await ensureBranch(github, repository);
+    for (const file of provenanceFiles) {
+        /** @type {import('../types').Provenance} */
+        const provenance = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+        if (!provenance.published) {
+            console.log(`${path.basename(file)}: skipping, since the package was not published`);
+            continue;
+        }
+        const documentPath = getPublishedProvenancePath(provenance);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                /** @type {string | undefined} */
+                let sha;
+                try {
+                    const { data } = await github.rest.repos.getContent({
+                        ...repository,
+                        path: documentPath,
+                        ref: provenanceBranch,
+                    });
+                    // Published again, with FORCE
+                    sha = Array.isArray(data) ? undefined : data.sha;
+                } catch (error) {
+                    if (getStatus(error) !== 404) {
+                        throw error;
+                    }
+                }
+                await github.rest.repos.createOrUpdateFileContents({
+                    ...repository,
+                    branch: provenanceBranch,
+                    path: documentPath,
+                    message: `Add provenance of ${provenance.id} ${provenance.version} (${provenance.target})`,
+                    content: Buffer.from(JSON.stringify(provenance, undefined, 2) + "\n").toString("base64"),
+                    sha,
+                });
+                break;
+            } catch (error) {
+                if (!isConflict(error) || attempt === attempts) {
+                    throw error;
+                }
+                console.log(`${documentPath}: the ${provenanceBranch} branch moved, trying again...`);
+                await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+            }
+        }
+        console.log(`Published the provenance of ${provenance.id} to ${provenanceBranch}:${documentPath}`);
+        committed.push(documentPath);
+    }
+    return committed;
+};
@@ -1,13 +1,17 @@
+const fs = require("fs");
 const { DefaultArtifactClient } = require("@actions/artifact");
 const { artifactDirectory } = require("../lib/constants");
+const { getProvenanceFile } = require("../lib/provenance");
 
 // @ts-check
 /**
+ * Uploads the packages together with their provenance documents
  * @param {string[]} extensionFiles
  */
 module.exports = async (extensionFiles) => {
+    const provenanceFiles = extensionFiles.map(getProvenanceFile).filter((file) => fs.existsSync(file));
     const artifact = new DefaultArtifactClient();
-    await artifact.uploadArtifact("artifacts", extensionFiles, artifactDirectory, {
+    await artifact.uploadArtifact("artifacts", [...extensionFiles, ...provenanceFiles], artifactDirectory, {
         retentionDays: 7,
     });
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { auditExtension, applyFixes, formatAudit } = require("../lib/audit");
+const { daysAgo, createFixtureRepository, removeFixtures, stubForgeProvider } = require("./fixtures");
+
+const id = "fixture.audit";
+
+/**
+ * A provider answering with `repository` for every repository
+ * @param {import('../types').ForgeRepository | undefined} repository
+ */
+const stubRepository = (repository) => () => ({ ...stubForgeProvider(), getRepository: async () => repository });
+
+describe("auditExtension", () => {
+    after(() => removeFixtures());
+
+    it("proposes the new URL of a moved repository", async () => {
+        const findings = await auditExtension(
+            id,
+            { repository: "https://github.com/fixture/old-name" },
+            {
+                onMarketplace: true,
+                getProvider: stubRepository({ url: "https://github.com/Fixture/new-name", archived: true }),
+            },
+        );
+        assert.deepEqual(
+            findings.map(({ kind, fix }) => ({ kind, fix })),
+            [
+                { kind: "repositoryMoved", fix: { repository: "https://github.com/Fixture/new-name" } },
+                { kind: "repositoryArchived", fix: undefined },
+            ],
+        );
+    });
+
+    it("ignores the case and a trailing .git of the URL", async () => {
+        const findings = await auditExtension(
+            id,
+            { repository: "https://github.com/fixture/audit.git" },
+            {
+                onMarketplace: true,
+                getProvider: stubRepository({ url: "https://github.com/Fixture/Audit", archived: false }),
+            },
+        );
+        assert.deepEqual(findings, []);
+    });
+
+    it("reports deleted repositories and extensions missing on the MS marketplace", async () => {
+        const findings = await auditExtension(
+            id,
+            { repository: "https://github.com/fixture/deleted", location: "packages/extension" },
+            { onMarketplace: false, getProvider: stubRepository(undefined) },
+        );
+        assert.deepEqual(
+            findings.map(({ kind }) => kind),
+            ["notOnMarketplace", "repositoryMissing"],
+        );
+    });
+
+    it("checks whether repositories of other forges still exist", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(1) }]);
+        const getProvider = () => undefined;
+        assert.deepEqual(await auditExtension(id, { repository: url }, { onMarketplace: true, getProvider }), []);
+        const findings = await auditExtension(
+            id,
+            { repository: `${url}-deleted` },
+            { onMarketplace: true, getProvider },
+        );
+        assert.deepEqual(
+            findings.map(({ kind }) => kind),
+            ["repositoryMissing"],
+        );
+    });
+
+    it("finds where the package.json moved to", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(1) }]);
+        const findings = await auditExtension(
+            id,
+            { repository: url, location: "packages/extension" },
+            { onMarketplace: true, getProvider: () => stubForgeProvider() },
+        );
+        assert.deepEqual(
+            findings.map(({ kind, fix }) => ({ kind, fix })),
+            [{ kind: "locationMissing", fix: { location: null } }],
+        );
+    });
+
+    it("reports a committed package which is gone", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(1) }]);
+        const getProvider = () => stubForgeProvider();
+        const findings = await auditExtension(
+            id,
+            { repository: url, extensionFile: "dist/audit.vsix" },
+            { onMarketplace: true, getProvider },
+        );
+        assert.deepEqual(
+            findings.map(({ kind }) => kind),
+            ["extensionFileMissing"],
+        );
+        // A package built by `prepublish` is not in the repository
+        assert.deepEqual(
+            await auditExtension(
+                id,
+                { repository: url, extensionFile: "dist/audit.vsix", prepublish: "npm run package" },
+                { onMarketplace: true, getProvider },
+            ),
+            [],
+        );
+    });
+});
+
+describe("applyFixes", () => {
+    it("changes and removes the properties of the entries", () => {
+        const extensions = {
+            $schema: "./extensions-schema.json",
+            "a.a": { repository: "https://github.com/a/old", location: "packages/a" },
+            "b.b": { repository: "https://github.com/b/b" },
+        };
+        /** @type {import('../types').AuditFinding[]} */
+        const findings = [
+            { id: "a.a", kind: "repositoryMoved", message: "", fix: { repository: "https://github.com/a/new" } },
+            { id: "a.a", kind: "locationMissing", message: "", fix: { location: null } },
+            { id: "b.b", kind: "repositoryArchived", message: "" },
+        ];
+        assert.deepEqual(applyFixes(extensions, findings), {
+            $schema: "./extensions-schema.json",
+            "a.a": { repository: "https://github.com/a/new" },
+            "b.b": { repository: "https://github.com/b/b" },
+        });
+        assert.equal(extensions["a.a"].location, "packages/a");
+    });
+});
+
+describe("formatAudit", () => {
+    it("groups the findings by their kind", () => {
+        const report = formatAudit([
+            { id: "a.a", kind: "repositoryArchived", message: "archived" },
+            { id: "b.b", kind: "repositoryMoved", message: "moved", fix: { repository: "https://github.com/b/new" } },
+        ]);
+        assert.match(report, /2 findings, of which 1 can be fixed/);
+        assert.match(
+            report,
+            /## Repository moved\n\n- b\.b: moved \(fix: set `repository` to `https:\/\/github\.com\/b\/new`\)\n\n## Repository archived\n\n- a\.a: archived\n/,
+        );
+    });
+});
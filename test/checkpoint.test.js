@@ -0,0 +1,115 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { forgetExtension, openCheckpoint } = require("../lib/checkpoint");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/**
+ * @returns {import('../types').PublishStat}
+ */
+const createStat = () => ({
+    upToDate: {},
+    outdated: {},
+    unstable: {},
+    notInOpen: {},
+    notInMS: [],
+    failed: [],
+    timedOut: [],
+    failures: {},
+    deferred: {},
+    unresolvableDependencies: {},
+    dependencyCycles: [],
+    blocked: {},
+    msPublished: {},
+    hitMiss: {},
+    resolutions: {},
+    vsixDiffs: {},
+    licenses: {},
+    preRelease: {
+        upToDate: {},
+        outdated: {},
+        unstable: {},
+        notInOpen: {},
+        resolutions: {},
+        failed: [],
+        failures: {},
+    },
+});
+
+const upToDate = { msInstalls: 10, msVersion: "1.0.0", openVersion: "1.0.0", daysInBetween: 0 };
+const failure = { reason: /** @type {const} */ ("install"), message: "npm install failed", log: "/tmp/logs/a.log" };
+
+describe("forgetExtension", () => {
+    it("removes the extension from all categories", () => {
+        const stat = createStat();
+        stat.upToDate["b.b"] = upToDate;
+        stat.hitMiss["b.b"] = upToDate;
+        stat.failed.push("a.a", "c.c");
+        stat.failures["a.a"] = failure;
+        stat.failures["c.c"] = failure;
+        stat.preRelease.failed.push("a.a");
+        stat.preRelease.failures["a.a"] = failure;
+        stat.dependencyCycles.push(["a.a", "b.b"]);
+
+        forgetExtension(stat, "a.a");
+        forgetExtension(stat, "b.b");
+        assert.deepEqual(stat, {
+            ...createStat(),
+            failed: ["c.c"],
+            failures: { "c.c": failure },
+            dependencyCycles: [["a.a", "b.b"]],
+        });
+    });
+});
+
+describe("openCheckpoint", () => {
+    after(() => removeFixtures());
+
+    it("resumes from the extensions completed before", async () => {
+        const directory = path.join(await createTemporaryDirectory("fixture-checkpoint"), "checkpoint");
+        const stat = createStat();
+        const checkpoint = await openCheckpoint(undefined, { resume: false, directory });
+        stat.failed.push("a.a");
+        await checkpoint.record("a.a", false, stat);
+        stat.upToDate["b.b"] = upToDate;
+        await checkpoint.record("b.b", true, stat);
+        stat.upToDate["c.c"] = upToDate;
+        await checkpoint.record("c.c", true, stat);
+        // The extension failed when the run was resumed the first time
+        await checkpoint.record("c.c", false, stat);
+
+        const resumed = await openCheckpoint(undefined, { resume: true, directory });
+        assert.deepEqual(resumed.stat, stat);
+        assert.deepEqual([...resumed.completed], ["b.b"]);
+    });
+
+    it("starts over for other extensions", async () => {
+        const directory = path.join(await createTemporaryDirectory("fixture-checkpoint"), "checkpoint");
+        const checkpoint = await openCheckpoint(["a.a"], { resume: false, directory });
+        await checkpoint.record("a.a", true, createStat());
+
+        const resumed = await openCheckpoint(["a.a", "b.b"], { resume: true, directory });
+        assert.equal(resumed.stat, undefined);
+        assert.equal(resumed.completed.size, 0);
+        // Nor is the earlier run resumed afterwards
+        assert.equal((await openCheckpoint(["a.a"], { resume: true, directory })).completed.size, 0);
+    });
+
+    it("starts over without a checkpoint", async () => {
+        const directory = path.join(await createTemporaryDirectory("fixture-checkpoint"), "checkpoint");
+        const resumed = await openCheckpoint(undefined, { resume: true, directory });
+        assert.equal(resumed.stat, undefined);
+        assert.equal(resumed.completed.size, 0);
+    });
+});
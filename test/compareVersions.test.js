@@ -0,0 +1,34 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { compareVersions } = require("../scripts/publish-extensions");
+
+describe("compareVersions", () => {
+    it("tells which marketplace is missing the extension", () => {
+        assert.equal(compareVersions(undefined, "1.0.0"), "notInMS");
+        assert.equal(compareVersions("1.0.0", undefined), "notInOpen");
+    });
+
+    it("compares the versions on both marketplaces", () => {
+        assert.equal(compareVersions("1.0.0", "1.0.0"), "upToDate");
+        assert.equal(compareVersions("1.1.0", "1.0.0"), "outdated");
+        assert.equal(compareVersions("1.0.0", "1.1.0"), "unstable");
+    });
+
+    it("only compares major and minor of weird versions", () => {
+        assert.equal(compareVersions("1.71.8240911", "1.71.8"), "upToDate");
+        assert.equal(compareVersions("1.71.8240911", "1.71.0"), "upToDate");
+        assert.equal(compareVersions("1.72.8240911", "1.71.8"), "outdated");
+        assert.equal(compareVersions("1.70.8240911", "1.71.8"), "outdated");
+    });
+});
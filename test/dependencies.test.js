@@ -0,0 +1,64 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDependencies, findCycles, sortTopologically } = require("../lib/dependencies");
+
+/**
+ * @param {{[id: string]: string[]}} graph
+ * @returns {Map<string, string[]>}
+ */
+const toMap = (graph) => new Map(Object.entries(graph));
+
+describe("getDependencies", () => {
+    it("combines the extension dependencies and the extension pack", () => {
+        assert.deepEqual(
+            getDependencies([
+                { key: "Microsoft.VisualStudio.Code.ExtensionDependencies", value: "a.one, b.two" },
+                { key: "Microsoft.VisualStudio.Code.ExtensionPack", value: "" },
+                { key: "Microsoft.VisualStudio.Code.PreRelease", value: "true" },
+                { key: "Microsoft.VisualStudio.Code.ExtensionPack", value: "c.three" },
+            ]),
+            ["a.one", "b.two", "c.three"],
+        );
+    });
+});
+
+describe("sortTopologically", () => {
+    it("puts the dependencies first", () => {
+        const dependencies = toMap({ pack: ["b", "a"], b: ["a"], a: [], other: [] });
+        assert.deepEqual(
+            sortTopologically(["pack", "other", "b", "a"], (id) => dependencies.get(id) ?? []),
+            ["a", "b", "pack", "other"],
+        );
+    });
+
+    it("keeps the extensions of a cycle together, before their dependents", () => {
+        const dependencies = toMap({ a: ["b"], b: ["a"], c: ["a"] });
+        assert.deepEqual(
+            sortTopologically(["c", "a", "b"], (id) => dependencies.get(id) ?? []),
+            ["a", "b", "c"],
+        );
+    });
+});
+
+describe("findCycles", () => {
+    it("finds the extensions depending on each other", () => {
+        const ids = ["a", "b", "c", "d", "e"];
+        const dependencies = toMap({ a: ["b"], b: ["c"], c: ["a"], d: ["a"], e: ["e"] });
+        assert.deepEqual(findCycles(ids, dependencies), [["a", "b", "c"], ["e"]]);
+    });
+
+    it("finds none in a graph without cycles", () => {
+        assert.deepEqual(findCycles(["a", "b"], toMap({ a: ["b"], b: [] })), []);
+    });
+});
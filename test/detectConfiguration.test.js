@@ -0,0 +1,168 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const exec = require("../lib/exec");
+const { detectConfiguration, proposeEntries, buildCandidates } = require("../lib/detectConfiguration");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+const id = "fixture.detect-configuration";
+const repository = "https://github.com/fixture/detect-configuration";
+
+/**
+ * Creates a checkout with the files, JSON for the objects
+ * @param {{[file: string]: string | object}} files
+ * @returns {Promise<string>}
+ */
+async function createCheckout(files) {
+    const directory = await createTemporaryDirectory("fixture-checkout");
+    for (const [file, content] of Object.entries(files)) {
+        await fs.promises.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+        await fs.promises.writeFile(
+            path.join(directory, file),
+            typeof content === "string" ? content : JSON.stringify(content),
+        );
+    }
+    return directory;
+}
+
+describe("detectConfiguration", () => {
+    after(() => removeFixtures());
+
+    it("finds the extension in a pnpm monorepo with Python requirements", async () => {
+        const checkout = await createCheckout({
+            "package.json": { name: "monorepo", private: true },
+            "pnpm-lock.yaml": "",
+            ".nvmrc": "20\n",
+            "packages/other/package.json": { publisher: "fixture", name: "other" },
+            "packages/vscode/package.json": {
+                publisher: "Fixture",
+                name: "detect-configuration",
+                scripts: { "vscode:prepublish": "npm run build" },
+            },
+            "packages/vscode/pyproject.toml": '[project]\nrequires-python = ">=3.10"\n',
+        });
+        assert.deepEqual(await detectConfiguration(checkout, id), {
+            location: "packages/vscode",
+            packageManager: "pnpm",
+            node: "20",
+            python: true,
+            pythonVersion: "3.10",
+            nativeModules: [],
+            hasPrepublish: true,
+            buildScript: undefined,
+        });
+    });
+
+    it("detects native modules and the build script", async () => {
+        const checkout = await createCheckout({
+            "package.json": {
+                publisher: "fixture",
+                name: "detect-configuration",
+                dependencies: { "node-pty": "^1.0.0", semver: "^7.0.0" },
+                scripts: { compile: "tsc" },
+            },
+            "yarn.lock": "",
+        });
+        const detected = await detectConfiguration(checkout, id);
+        assert.equal(detected?.location, undefined);
+        assert.equal(detected?.packageManager, "yarn");
+        assert.deepEqual(detected?.nativeModules, ["node-pty"]);
+        assert.equal(detected?.buildScript, "compile");
+    });
+
+    it("does not detect anything without the package.json of the extension", async () => {
+        const checkout = await createCheckout({ "package.json": { publisher: "fixture", name: "other" } });
+        assert.equal(await detectConfiguration(checkout, id), undefined);
+    });
+});
+
+describe("proposeEntries", () => {
+    /** @type {import('../types').DetectedConfiguration} */
+    const detected = {
+        location: "packages/vscode",
+        packageManager: "yarn",
+        python: false,
+        nativeModules: ["node-pty"],
+        hasPrepublish: false,
+        buildScript: "build",
+    };
+
+    it("proposes the targets first, then running the build script", () => {
+        const entries = proposeEntries(detected, { repository });
+        assert.deepEqual(
+            entries.map((entry) => [!!entry.target, entry.prepublish]),
+            [
+                [true, undefined],
+                [false, undefined],
+                [true, "yarn run build"],
+                [false, "yarn run build"],
+            ],
+        );
+        assert.deepEqual(entries[0].target["win32-arm64"], {
+            env: { npm_config_platform: "win32", npm_config_arch: "arm64" },
+        });
+        assert.deepEqual(Object.keys(entries[0]), ["repository", "location", "target"]);
+    });
+
+    it("keeps the properties given by the contributor", () => {
+        const entries = proposeEntries(detected, { repository, location: "ext", prepublish: "make" });
+        assert.deepEqual(
+            entries.map((entry) => [entry.location, entry.prepublish]),
+            [
+                ["ext", "make"],
+                ["ext", "make"],
+            ],
+        );
+    });
+});
+
+describe("buildCandidates", () => {
+    const candidates = [
+        { repository, target: { "linux-x64": true } },
+        { repository },
+        { repository, prepublish: "make" },
+    ];
+
+    it("moves on to the next entry when the build of one fails", async () => {
+        /** @type {{[key: string]: any}[]} */
+        const written = [];
+        let builds = 0;
+        const built = await buildCandidates(
+            candidates,
+            async (entry) => {
+                written.push(entry);
+            },
+            // Like the run, which exits with an error once an extension failed to build
+            () =>
+                exec(
+                    builds++ === 0
+                        ? `echo "[FAIL] Could not process extension: ${id} (build) failed" >&2; exit 1`
+                        : "echo built",
+                    { quiet: true },
+                ),
+        );
+        assert.equal(built, candidates[1]);
+        assert.deepEqual(written, [candidates[1]]);
+    });
+
+    it("builds with none of the entries if all of them fail", async () => {
+        const built = await buildCandidates(
+            candidates,
+            async () => {},
+            () => exec("exit 1", { quiet: true }),
+        );
+        assert.equal(built, undefined);
+    });
+});
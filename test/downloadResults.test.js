@@ -0,0 +1,139 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const yazl = require("yazl");
+const { buffer } = require("stream/consumers");
+const downloadResults = require("../scripts/download-results");
+const { getDispatchedRunSuffix } = downloadResults;
+const { readResults } = require("../lib/results");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/**
+ * @param {import('../types').ResultRecord} result
+ * @returns {Promise<ArrayBuffer>} an artifact with the result record, as the GitHub API serves it
+ */
+const createArtifact = async (result) => {
+    const zipfile = new yazl.ZipFile();
+    zipfile.addBuffer(Buffer.from(JSON.stringify(result)), `${result.id}.${result.stage}.json`);
+    zipfile.end();
+    const data = await buffer(zipfile.outputStream);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+};
+
+/**
+ * @param {string} id
+ * @param {"build" | "publish"} stage
+ * @returns {import('../types').ResultRecord}
+ */
+const result = (id, stage) => ({ id, stage, preRelease: false, outcome: "success", date: "2025-06-02T03:10:00.000Z" });
+
+/**
+ * Serves the dispatched runs, which show up one after another and complete on the next look up
+ * @param {{id: number, display_title: string, artifacts: {[name: string]: import('../types').ResultRecord}}[]} runs
+ */
+const stubGitHub = (runs) => {
+    let lookups = 0;
+    /** @type {{[id: number]: Promise<ArrayBuffer>}} */
+    const artifacts = {};
+    const github = {
+        paginate: async (/** @type {(parameters: any) => Promise<any[]>} */ list, /** @type {any} */ parameters) =>
+            list(parameters),
+        rest: {
+            actions: {
+                getWorkflowRun: async () => ({ data: { created_at: "2025-06-02T03:03:00Z" } }),
+                listWorkflowRuns: async () => {
+                    lookups++;
+                    return runs.slice(0, lookups).map(({ id, display_title }, index) => ({
+                        id,
+                        display_title,
+                        status: index < lookups - 1 ? "completed" : "in_progress",
+                    }));
+                },
+                listWorkflowRunArtifacts: async (/** @type {{run_id: number}} */ { run_id }) =>
+                    Object.keys(/** @type {any} */ (runs.find(({ id }) => id === run_id)).artifacts).map(
+                        (name, index) => ({ id: run_id * 10 + index, name }),
+                    ),
+                downloadArtifact: async (/** @type {{artifact_id: number}} */ { artifact_id }) => {
+                    const run = /** @type {any} */ (runs.find(({ id }) => id === Math.floor(artifact_id / 10)));
+                    const name = Object.keys(run.artifacts)[artifact_id % 10];
+                    artifacts[artifact_id] ??= createArtifact(run.artifacts[name]);
+                    return { data: await artifacts[artifact_id] };
+                },
+            },
+        },
+    };
+    return { github: /** @type {any} */ (github), lookups: () => lookups };
+};
+
+describe("downloadResults", () => {
+    after(() => removeFixtures());
+
+    it("waits for the dispatched runs and downloads their results", async () => {
+        const directory = await createTemporaryDirectory("fixture-results");
+        const { github, lookups } = stubGitHub([
+            {
+                id: 1,
+                display_title: `Publish a.a ${getDispatchedRunSuffix(100)}`,
+                artifacts: { "result-build": result("a.a", "build"), "result-publish": result("a.a", "publish") },
+            },
+            { id: 2, display_title: "Publish b.b", artifacts: { "result-build": result("b.b", "build") } },
+            {
+                id: 3,
+                display_title: `Publish c.c ${getDispatchedRunSuffix(100)}`,
+                artifacts: { "result-build": result("c.c", "build"), provenance: result("c.c", "publish") },
+            },
+        ]);
+
+        const downloaded = await downloadResults(
+            github,
+            { owner: "open-vsx", repo: "publish-extensions" },
+            {
+                runId: 100,
+                dispatched: 2,
+                directory,
+                interval: 0,
+            },
+        );
+        assert.equal(downloaded, 2);
+        assert.equal(lookups(), 4);
+        assert.deepEqual((await readResults(directory)).map(({ id, stage }) => `${id}.${stage}`).sort(), [
+            "a.a.build",
+            "a.a.publish",
+            "c.c.build",
+        ]);
+    });
+
+    it("gives up waiting once the timeout is hit", async () => {
+        const directory = await createTemporaryDirectory("fixture-results");
+        const { github } = stubGitHub([
+            {
+                id: 1,
+                display_title: `Publish a.a ${getDispatchedRunSuffix(100)}`,
+                artifacts: { "result-build": result("a.a", "build") },
+            },
+        ]);
+
+        const downloaded = await downloadResults(
+            github,
+            { owner: "open-vsx", repo: "publish-extensions" },
+            {
+                runId: 100,
+                dispatched: 2,
+                directory,
+                timeout: 0,
+                interval: 1,
+            },
+        );
+        assert.equal(downloaded, 0);
+    });
+});
@@ -0,0 +1,36 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const exec = require("../lib/exec");
+
+describe("exec", () => {
+    it("returns the output of the command", async () => {
+        const { stdout } = await exec("echo hello", { quiet: true });
+        assert.equal(stdout, "hello\n");
+    });
+
+    it("kills the command and what it spawned once the deadline is hit", async () => {
+        const started = Date.now();
+        await assert.rejects(
+            exec("sleep 10 & sleep 10; wait", { quiet: true, deadline: Date.now() + 200 }),
+            exec.TimeoutError,
+        );
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it("kills the command once its output exceeds `maxBuffer`", async () => {
+        await assert.rejects(exec("yes", { quiet: true, maxBuffer: 1024 }), {
+            code: "ERR_CHILD_PROCESS_STDIO_MAXBUFFER",
+        });
+    });
+});
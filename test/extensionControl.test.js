@@ -0,0 +1,76 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { readExtensionControl, checkExtensionControl } = require("../lib/extensionControl");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+describe("checkExtensionControl", () => {
+    after(() => removeFixtures());
+
+    /** @returns {Promise<ReturnType<typeof readExtensionControl>>} */
+    const createControl = async () => {
+        const file = path.join(await createTemporaryDirectory("fixture-control"), "extensions.json");
+        await fs.promises.writeFile(
+            file,
+            JSON.stringify({
+                malicious: ["Evil.Extension"],
+                deprecated: {
+                    "old.plain": true,
+                    "old.replaced": { extension: { id: "new.replacement", displayName: "Replacement" } },
+                    "old.disallowed": {
+                        disallowInstall: true,
+                        extension: { id: "new.replacement", displayName: "Replacement" },
+                    },
+                },
+            }),
+        );
+        return readExtensionControl(file);
+    };
+
+    it("blocks malicious extensions, ignoring the case", async () => {
+        const control = await createControl();
+        assert.deepEqual(checkExtensionControl(["evil.extension"], control), { reason: "malicious", blocked: true });
+    });
+
+    it("blocks by the ID on the MS marketplace", async () => {
+        const control = await createControl();
+        assert.equal(checkExtensionControl(["open.extension", "Evil.Extension"], control)?.blocked, true);
+    });
+
+    it("blocks the deprecated extensions which cannot be installed anymore", async () => {
+        const control = await createControl();
+        assert.deepEqual(checkExtensionControl(["old.disallowed"], control), {
+            reason: "deprecated",
+            blocked: true,
+            replacement: "new.replacement",
+        });
+    });
+
+    it("only reports the other deprecated extensions", async () => {
+        const control = await createControl();
+        assert.deepEqual(checkExtensionControl(["old.plain"], control), { reason: "deprecated", blocked: false });
+        assert.deepEqual(checkExtensionControl(["old.replaced"], control), {
+            reason: "deprecated",
+            blocked: false,
+            replacement: "new.replacement",
+        });
+        assert.equal(checkExtensionControl(["other.extension"], control), undefined);
+    });
+
+    it("reads the manifest of the repository", () => {
+        const { malicious } = readExtensionControl();
+        assert.ok(malicious.has("equinusocio.vsc-material-theme"));
+    });
+});
@@ -0,0 +1,208 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const cp = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const yazl = require("yazl");
+const { createVSIX } = require("@vscode/vsce");
+const { removeRepository } = require("../lib/repositories");
+
+/**
+ * A commit of a fixture repository, changing the version in package.json
+ * @typedef {{version: string, date: Date, tag?: string, publisher?: string, name?: string, extensionDependencies?: string[]}} FixtureCommit
+ */
+
+/**
+ * @param {number} days
+ * @returns {Date}
+ */
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/** @type {string[]} */
+const temporaryDirectories = [];
+/** @type {string[]} */
+const repositories = [];
+
+/**
+ * @param {string} prefix
+ * @returns {Promise<string>}
+ */
+async function createTemporaryDirectory(prefix) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), `${prefix}-`));
+    temporaryDirectories.push(directory);
+    return directory;
+}
+
+/**
+ * Removes the repositories and packages created so far, and the clones of the repositories
+ */
+async function removeFixtures() {
+    const directories = temporaryDirectories.splice(0);
+    await Promise.all(directories.map((directory) => fs.promises.rm(directory, { recursive: true, force: true })));
+    await Promise.all(repositories.splice(0).map((repository) => removeRepository(repository)));
+}
+
+/**
+ * @param {string} cwd
+ * @param {string[]} args
+ * @param {Date} [date] the author and committer date
+ * @returns {string}
+ */
+function git(cwd, args, date) {
+    return cp
+        .execFileSync("git", args, {
+            cwd,
+            encoding: "utf8",
+            env: {
+                ...process.env,
+                GIT_AUTHOR_NAME: "Fixture",
+                GIT_AUTHOR_EMAIL: "fixture@example.com",
+                GIT_COMMITTER_NAME: "Fixture",
+                GIT_COMMITTER_EMAIL: "fixture@example.com",
+                ...(date && { GIT_AUTHOR_DATE: date.toISOString(), GIT_COMMITTER_DATE: date.toISOString() }),
+            },
+        })
+        .trim();
+}
+
+/**
+ * @param {string} directory
+ * @param {{publisher: string, name: string, version: string, extensionDependencies?: string[]}} manifest
+ */
+async function writeExtension(directory, { publisher, name, version, extensionDependencies }) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const manifest = {
+        name,
+        publisher,
+        version,
+        engines: { vscode: "^1.80.0" },
+        license: "MIT",
+        repository: "https://example.com/fixture",
+        extensionDependencies,
+    };
+    await fs.promises.writeFile(path.join(directory, "package.json"), JSON.stringify(manifest, undefined, 2));
+    await fs.promises.writeFile(path.join(directory, "README.md"), `# ${name}\n`);
+    await fs.promises.writeFile(path.join(directory, "LICENSE"), "MIT\n");
+}
+
+/**
+ * Creates a git repository with a commit for each of `commits`, in the given order
+ * @param {string} id the extension ID, the publisher and name of the commits default to
+ * @param {FixtureCommit[]} commits
+ * @returns {Promise<{url: string, shas: string[]}>} the `file:` URL of the repository and the SHAs of the commits
+ */
+async function createFixtureRepository(id, commits) {
+    const [publisher, name] = id.split(".");
+    const directory = await createTemporaryDirectory("fixture-repository");
+    git(directory, ["init", "--quiet", "--initial-branch=main"]);
+    const shas = [];
+    for (const commit of commits) {
+        await writeExtension(directory, {
+            publisher: commit.publisher ?? publisher,
+            name: commit.name ?? name,
+            version: commit.version,
+            extensionDependencies: commit.extensionDependencies,
+        });
+        git(directory, ["add", "--all"]);
+        git(directory, ["commit", "--quiet", "--allow-empty", "--message", `Release ${commit.version}`], commit.date);
+        if (commit.tag) {
+            git(directory, ["tag", "--annotate", commit.tag, "--message", commit.tag], commit.date);
+        }
+        shas.push(git(directory, ["rev-parse", "HEAD"]));
+    }
+    const url = `file://${directory}`;
+    repositories.push(url);
+    return { url, shas };
+}
+
+/**
+ * Packages an extension to attach to a release
+ * @param {{publisher: string, name: string, version: string}} manifest
+ * @returns {Promise<string>} the path of the .vsix file
+ */
+async function createFixtureVSIX(manifest) {
+    const directory = await createTemporaryDirectory("fixture-vsix");
+    await writeExtension(directory, manifest);
+    const packagePath = path.join(directory, `${manifest.name}-${manifest.version}.vsix`);
+    await createVSIX({ cwd: directory, packagePath });
+    return packagePath;
+}
+
+/**
+ * Zips `files` into an archive, like the `.zip` release assets some extensions attach their packages in
+ * @param {string} name the file name of the archive
+ * @param {string[]} files
+ * @returns {Promise<string>} the path of the archive
+ */
+async function createFixtureArchive(name, files) {
+    const directory = await createTemporaryDirectory("fixture-archive");
+    const archive = path.join(directory, name);
+    const zipfile = new yazl.ZipFile();
+    for (const file of files) {
+        zipfile.addFile(file, `dist/${path.basename(file)}`);
+    }
+    zipfile.end();
+    await pipeline(zipfile.outputStream, fs.createWriteStream(archive));
+    return archive;
+}
+
+/**
+ * Serves `files` by their base name, so that release assets can be downloaded from them
+ * @param {string[]} files
+ * @returns {Promise<{urls: string[], requests: string[], close: () => Promise<void>}>} `requests` are the paths requested so far
+ */
+async function serveFiles(files) {
+    /** @type {string[]} */
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(/** @type {string} */ (request.url));
+        const file = files.find((candidate) => request.url === `/${path.basename(candidate)}`);
+        if (!file) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { "Content-Type": "application/octet-stream" });
+        fs.createReadStream(file).pipe(response);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+    return {
+        urls: files.map((file) => `http://127.0.0.1:${port}/${path.basename(file)}`),
+        requests,
+        close: () => new Promise((resolve) => server.close(() => resolve())),
+    };
+}
+
+/**
+ * A release provider answering with `releases` for every repository
+ * @param {import('../types').ForgeRelease[]} releases the latest first
+ * @returns {import('../types').ForgeProvider}
+ */
+const stubForgeProvider = (...releases) => ({
+    name: "stub",
+    getReleases: async (_repositoryUrl, { limit }) => releases.slice(0, limit),
+    getRepository: async (repositoryUrl) => ({ url: repositoryUrl.href, archived: false }),
+});
+
+module.exports = {
+    daysAgo,
+    createTemporaryDirectory,
+    createFixtureRepository,
+    createFixtureVSIX,
+    createFixtureArchive,
+    removeFixtures,
+    serveFiles,
+    stubForgeProvider,
+};
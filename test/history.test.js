@@ -0,0 +1,146 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+    appendToHistory,
+    readHistory,
+    parityByWeek,
+    compareRuns,
+    meanTimeToMirror,
+    findParityRegression,
+} = require("../lib/history");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/**
+ * @param {Partial<import('../types').PublishStat>} stat
+ * @returns {import('../types').PublishStat}
+ */
+const createStat = (stat) =>
+    /** @type {import('../types').PublishStat} */ ({
+        upToDate: {},
+        unstable: {},
+        outdated: {},
+        notInOpen: {},
+        notInMS: [],
+        failed: [],
+        timedOut: [],
+        hitMiss: {},
+        ...stat,
+    });
+
+/**
+ * @param {string} date
+ * @param {Partial<import('../types').HistoryRecord>} record
+ * @returns {import('../types').HistoryRecord}
+ */
+const createRecord = (date, record) => ({
+    date,
+    total: 10,
+    upToDate: 5,
+    weightedParity: 0.5,
+    broken: [],
+    upToDateIds: [],
+    mirrored: {},
+    ...record,
+});
+
+describe("history", () => {
+    after(() => removeFixtures());
+
+    it("appends the runs and reads them back", async () => {
+        const file = path.join(await createTemporaryDirectory("fixture-history"), "history.jsonl");
+        await appendToHistory(
+            createStat({
+                upToDate: { "a.a": { msInstalls: 300, msVersion: "1.0.0", openVersion: "1.0.0", daysInBetween: 1 } },
+                outdated: { "b.b": { msInstalls: 100, msVersion: "2.0.0", openVersion: "1.0.0", daysInBetween: -3 } },
+                hitMiss: { "a.a": { msInstalls: 300, msVersion: "1.0.0", openVersion: "1.0.0", daysInBetween: 1 } },
+                failed: ["c.c"],
+                notInMS: ["c.c"],
+            }),
+            new Date("2025-03-04T03:00:00Z"),
+            file,
+        );
+        await fs.promises.appendFile(file, '{"date": "2025-03-05');
+        assert.deepEqual(await readHistory(file), [
+            {
+                date: "2025-03-04T03:00:00.000Z",
+                total: 3,
+                upToDate: 1,
+                weightedParity: 0.75,
+                broken: ["c.c"],
+                upToDateIds: ["a.a"],
+                mirrored: { "a.a": { msVersion: "1.0.0", daysInBetween: 1 } },
+            },
+        ]);
+    });
+
+    it("reads no runs if there is no history yet", async () => {
+        assert.deepEqual(await readHistory("/nonexistent/history.jsonl"), []);
+    });
+});
+
+describe("parityByWeek", () => {
+    it("averages the runs of each week, starting on Monday", () => {
+        assert.deepEqual(
+            parityByWeek([
+                createRecord("2025-03-02T03:00:00.000Z", { upToDate: 4, weightedParity: 0.4 }),
+                createRecord("2025-03-03T03:00:00.000Z", { upToDate: 5, weightedParity: 0.5 }),
+                createRecord("2025-03-09T03:00:00.000Z", { upToDate: 7, weightedParity: 0.7 }),
+            ]),
+            [
+                { week: "2025-02-24", runs: 1, parity: 0.4, weightedParity: 0.4 },
+                { week: "2025-03-03", runs: 2, parity: 0.6, weightedParity: 0.6 },
+            ],
+        );
+    });
+});
+
+describe("compareRuns", () => {
+    it("finds the extensions which broke or recovered", () => {
+        const previous = createRecord("2025-03-03T03:00:00.000Z", { broken: ["a.a", "b.b"], upToDateIds: ["c.c"] });
+        const current = createRecord("2025-03-04T03:00:00.000Z", { broken: ["b.b", "c.c"], upToDateIds: ["a.a"] });
+        assert.deepEqual(compareRuns(previous, current), { broke: ["c.c"], recovered: ["a.a"] });
+    });
+});
+
+describe("meanTimeToMirror", () => {
+    it("counts every version once", () => {
+        const mirrored = { "a.a": { msVersion: "1.0.0", daysInBetween: 1 } };
+        assert.deepEqual(
+            meanTimeToMirror([
+                createRecord("2025-03-03T03:00:00.000Z", { mirrored }),
+                createRecord("2025-03-04T03:00:00.000Z", {
+                    mirrored: { ...mirrored, "b.b": { msVersion: "2.0.0", daysInBetween: 4 } },
+                }),
+            ]),
+            { days: 2.5, versions: 2 },
+        );
+    });
+
+    it("has no mean without mirrored versions", () => {
+        assert.equal(meanTimeToMirror([createRecord("2025-03-03T03:00:00.000Z", {})]), undefined);
+    });
+});
+
+describe("findParityRegression", () => {
+    it("flags a drop of the weighted parity beyond the threshold", () => {
+        const records = [
+            createRecord("2025-03-03T03:00:00.000Z", { weightedParity: 0.8 }),
+            createRecord("2025-03-04T03:00:00.000Z", { weightedParity: 0.75 }),
+        ];
+        assert.deepEqual(findParityRegression(records, 0.01), { from: 0.8, to: 0.75 });
+        assert.equal(findParityRegression(records, 0.1), undefined);
+    });
+});
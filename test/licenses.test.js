@@ -0,0 +1,68 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { classifyLicense, parseLicense, isAllowedLicense } = require("../lib/licenses");
+const { createFixtureVSIX, removeFixtures } = require("./fixtures");
+
+describe("parseLicense", () => {
+    for (const [license, expected] of /** @type {const} */ ([
+        ["MIT", { spdx: "MIT", osi: true }],
+        ["Apache 2", { spdx: "Apache-2.0", osi: true }],
+        ["(MIT OR CC-BY-4.0)", { spdx: "(MIT OR CC-BY-4.0)", osi: true }],
+        ["MIT AND CC-BY-NC-4.0", { spdx: "MIT AND CC-BY-NC-4.0", osi: false }],
+        ["CC0-1.0", { spdx: "CC0-1.0", osi: false }],
+    ])) {
+        it(`maps ${license} to ${expected.spdx}`, () => {
+            assert.deepEqual(parseLicense(license), expected);
+        });
+    }
+
+    it("does not map what is no SPDX expression", () => {
+        assert.equal(parseLicense("SEE LICENSE IN EULA.txt"), undefined);
+    });
+});
+
+describe("classifyLicense", () => {
+    after(() => removeFixtures());
+
+    const manifest = { publisher: "fixture", name: "licenses", version: "1.0.0" };
+
+    it("classifies the license of package.json", async () => {
+        const vsix = await createFixtureVSIX(manifest);
+        assert.deepEqual(await classifyLicense(vsix, { license: "MIT" }, undefined), {
+            category: "osi",
+            spdx: "MIT",
+            manifestLicense: "MIT",
+            licenseFile: "extension/license.txt",
+        });
+    });
+
+    it("recognizes the license file `SEE LICENSE IN` points to", async () => {
+        const vsix = await createFixtureVSIX(manifest);
+        const sources = path.dirname(vsix);
+        await fs.promises.writeFile(path.join(sources, "EULA.txt"), "MICROSOFT SOFTWARE LICENSE TERMS\n");
+        const license = await classifyLicense(vsix, { license: "SEE LICENSE IN EULA.txt" }, sources);
+        assert.equal(license.category, "proprietary");
+        assert.equal(license.licenseFile, "EULA.txt");
+    });
+
+    it("classifies UNLICENSED as proprietary unless it is allowed", async () => {
+        const vsix = await createFixtureVSIX(manifest);
+        const license = await classifyLicense(vsix, { license: "UNLICENSED" }, undefined);
+        assert.equal(license.category, "proprietary");
+        assert.equal(isAllowedLicense(license, { id: "fixture.licenses" }), false);
+        assert.equal(isAllowedLicense(license, { id: "fixture.licenses", allowedLicenses: ["UNLICENSED"] }), true);
+    });
+});
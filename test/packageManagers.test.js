@@ -0,0 +1,96 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { detectPackageManager, getPackaging } = require("../lib/packageManagers");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/**
+ * @param {{[file: string]: string}} files
+ * @returns {Promise<string>}
+ */
+async function createCheckout(files) {
+    const directory = await createTemporaryDirectory("fixture-checkout");
+    for (const [file, content] of Object.entries(files)) {
+        await fs.promises.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+        await fs.promises.writeFile(path.join(directory, file), content);
+    }
+    return directory;
+}
+
+describe("detectPackageManager", () => {
+    after(() => removeFixtures());
+
+    it("installs pnpm workspaces from their root", async () => {
+        const checkout = await createCheckout({
+            "pnpm-lock.yaml": "",
+            "pnpm-workspace.yaml": "packages:\n  - packages/*\n",
+            "packages/vscode/package.json": "{}",
+        });
+        assert.deepEqual(detectPackageManager(checkout, path.join(checkout, "packages/vscode")), {
+            manager: "pnpm",
+            installPath: checkout,
+        });
+    });
+
+    it("installs in the extension's directory if the lock file is not at the root of a workspace", async () => {
+        const checkout = await createCheckout({ "bun.lockb": "", "package.json": "{}", "client/package.json": "{}" });
+        assert.deepEqual(detectPackageManager(checkout, path.join(checkout, "client")), {
+            manager: "bun",
+            installPath: path.join(checkout, "client"),
+        });
+    });
+
+    it("uses the lock file closest to the extension", async () => {
+        const checkout = await createCheckout({
+            "yarn.lock": "",
+            "package.json": JSON.stringify({ workspaces: ["client"] }),
+            "client/package-lock.json": "{}",
+            "client/package.json": "{}",
+        });
+        assert.equal(detectPackageManager(checkout, path.join(checkout, "client")).manager, "npm");
+    });
+
+    it("falls back to npm without a lock file", async () => {
+        const checkout = await createCheckout({ "package.json": "{}" });
+        assert.deepEqual(detectPackageManager(checkout, checkout), { manager: "npm", installPath: checkout });
+    });
+});
+
+describe("getPackaging", () => {
+    const bundled = { dependencies: { semver: "^7.0.0" }, devDependencies: { esbuild: "^0.20.0" } };
+    const unbundled = { dependencies: { semver: "^7.0.0" } };
+
+    it("packages bundled pnpm and Bun extensions without their dependencies", () => {
+        assert.deepEqual(getPackaging("pnpm", bundled), {
+            install: "pnpm install",
+            useYarn: false,
+            dependencies: false,
+        });
+        assert.deepEqual(getPackaging("bun", bundled), { install: "bun install", useYarn: false, dependencies: false });
+    });
+
+    it("installs unbundled pnpm extensions flat, so that vsce can package their dependencies", () => {
+        assert.deepEqual(getPackaging("pnpm", unbundled), {
+            install: "pnpm install --config.node-linker=hoisted",
+            useYarn: false,
+            dependencies: true,
+        });
+    });
+
+    it("keeps packaging the dependencies of npm and yarn extensions", () => {
+        assert.deepEqual(getPackaging("yarn", bundled), { install: "yarn install", useYarn: true, dependencies: true });
+        assert.deepEqual(getPackaging("npm", bundled), { install: "npm install", useYarn: false, dependencies: true });
+    });
+});
@@ -0,0 +1,171 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Read when the scripts are loaded, so the port cannot be left to the OS
+const port = 40000 + (process.pid % 10000);
+const registryUrl = `http://127.0.0.1:${port}`;
+const registryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fixture-mock-registry-"));
+Object.assign(process.env, {
+    REGISTRY_URL: registryUrl,
+    MS_GALLERY_URL: `${registryUrl}/marketplace`,
+    OVSX_PAT: "mock",
+    RESULTS_DIR: path.join(registryDirectory, "results"),
+});
+
+const { createMockRegistry } = require("../lib/mockRegistry");
+const { resolveExtension } = require("../lib/resolveExtension");
+const { cleanWorkspace } = require("../lib/workspace");
+const { readResults } = require("../lib/results");
+const buildExtension = require("../scripts/build-extension");
+const publishExtension = require("../scripts/publish-extension");
+const {
+    daysAgo,
+    createFixtureRepository,
+    createFixtureVSIX,
+    createTemporaryDirectory,
+    removeFixtures,
+    stubForgeProvider,
+} = require("./fixtures");
+
+const id = "fixture.pipeline";
+const dependentId = "fixture.pipeline-dependent";
+const concurrentIds = ["fixture.pipeline-concurrent-a", "fixture.pipeline-concurrent-b"];
+
+describe("pipeline", () => {
+    const registry = createMockRegistry(registryDirectory);
+    before(() => new Promise((resolve) => registry.listen(port, "127.0.0.1", () => resolve(undefined))));
+    after(async () => {
+        await new Promise((resolve) => registry.close(resolve));
+        await cleanWorkspace(id);
+        await cleanWorkspace(dependentId);
+        for (const concurrentId of concurrentIds) {
+            await cleanWorkspace(concurrentId);
+        }
+        await removeFixtures();
+        await fs.promises.rm(registryDirectory, { recursive: true, force: true });
+    });
+
+    it("resolves, builds and publishes the MS marketplace version to the registry", async () => {
+        const lastUpdated = daysAgo(1);
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "0.9.0", date: daysAgo(5), tag: "v0.9.0" },
+            { version: "1.0.0", date: lastUpdated, tag: "v1.0.0" },
+        ]);
+        const marketplace = path.join(registryDirectory, "marketplace", "fixture", "pipeline");
+        await fs.promises.mkdir(marketplace, { recursive: true });
+        await fs.promises.copyFile(
+            await createFixtureVSIX({ publisher: "fixture", name: "pipeline", version: "1.0.0" }),
+            path.join(marketplace, "1.0.0@universal.vsix"),
+        );
+        const extension = { id, repository: url };
+
+        const resolved = await resolveExtension(
+            extension,
+            { version: "1.0.0", lastUpdated },
+            { forgeProvider: stubForgeProvider() },
+        );
+        assert.deepEqual(resolved?.resolution, { tag: shas[1] });
+
+        /** @type {import('../types').PublishContext} */
+        const publishContext = {
+            msVersion: "1.0.0",
+            msLastUpdated: lastUpdated,
+            version: resolved?.version,
+            ref: resolved?.resolution.tag,
+            resolution: resolved?.resolution,
+            target: "",
+        };
+        const extensionFiles = await buildExtension(extension, publishContext);
+        assert.equal(publishContext.failure, undefined);
+        assert.equal(extensionFiles.length, 1);
+        // Compared with the package of the mock MS marketplace
+        assert.equal(publishContext.vsixDiffs?.universal.suspicious, false);
+
+        await publishExtension(id, extensionFiles);
+        const response = await fetch(`${registryUrl}/api/fixture/pipeline`);
+        assert.equal(response.status, 200);
+        assert.equal(/** @type {{ version: string }} */ (await response.json()).version, "1.0.0");
+
+        const results = await readResults();
+        assert.deepEqual(
+            results.map(({ stage, outcome, version }) => ({ stage, outcome, version })),
+            [
+                { stage: "build", outcome: "success", version: "1.0.0" },
+                { stage: "publish", outcome: "success", version: undefined },
+            ],
+        );
+    });
+
+    it("builds dependents of the extensions published earlier in the run, before Open VSX lists them", async () => {
+        const { url, shas } = await createFixtureRepository(dependentId, [
+            { version: "1.0.0", date: daysAgo(1), extensionDependencies: ["Fixture.Unlisted"] },
+        ]);
+        const extension = { id: dependentId, repository: url };
+        /** @type {import('../types').PublishContext} */
+        const publishContext = { version: "1.0.0", ref: shas[0], target: "" };
+
+        await buildExtension(extension, { ...publishContext });
+        assert.match(
+            (await readResults()).find((result) => result.id === dependentId)?.failure?.message ?? "",
+            /has to be published to Open VSX first/,
+        );
+        // Set by the failed build, for the workflow step to fail
+        process.exitCode = 0;
+
+        const extensionFiles = await buildExtension(extension, {
+            ...publishContext,
+            publishedInRun: ["fixture.unlisted"],
+        });
+        assert.equal(extensionFiles.length, 1);
+    });
+
+    it("builds extensions at once, each with its own environment variables", async () => {
+        const log = path.join(await createTemporaryDirectory("fixture-concurrent"), "builds.log");
+        // Every build waits for the other one to start before it ends
+        const waitForBoth = `for i in $(seq 300); do [ "$(grep -c start ${log})" -ge 2 ] && break; sleep 0.1; done`;
+        const builds = concurrentIds.map(async (concurrentId) => {
+            const { url, shas } = await createFixtureRepository(concurrentId, [{ version: "1.0.0", date: daysAgo(1) }]);
+            const [publisher, name] = concurrentId.split(".");
+            const vsix = await createFixtureVSIX({ publisher, name, version: "1.0.0" });
+            const extension = {
+                id: concurrentId,
+                repository: url,
+                custom: [
+                    `echo "start $EXTENSION_ID" >> ${log} && ${waitForBoth} && echo "end $EXTENSION_ID" >> ${log}`,
+                    `cp ${vsix} extension.vsix`,
+                ],
+            };
+            /** @type {import('../types').PublishContext} */
+            const publishContext = { version: "1.0.0", ref: shas[0], target: "" };
+            return { extensionFiles: await buildExtension(extension, publishContext), publishContext };
+        });
+
+        for (const { extensionFiles, publishContext } of await Promise.all(builds)) {
+            assert.equal(publishContext.failure, undefined);
+            assert.equal(extensionFiles.length, 1);
+        }
+        const lines = (await fs.promises.readFile(log, "utf-8")).trim().split("\n");
+        assert.deepEqual(
+            lines.slice(0, 2).map((line) => line.split(" ")[0]),
+            ["start", "start"],
+        );
+        assert.deepEqual(
+            lines.slice(2).sort(),
+            concurrentIds.map((concurrentId) => `end ${concurrentId}`),
+        );
+    });
+});
@@ -0,0 +1,156 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+    getProvenanceFile,
+    getPublishedProvenancePath,
+    writeProvenance,
+    readProvenance,
+    markPublished,
+} = require("../lib/provenance");
+const publishProvenance = require("../scripts/publish-provenance");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/** @type {Omit<import('../types').Provenance, "sha256" | "builtAt" | "buildRun">} */
+const provenance = {
+    id: "Fixture.Provenance",
+    version: "1.0.0",
+    target: "linux-x64",
+    preRelease: false,
+    source: { repository: "https://github.com/fixture/provenance", ref: "v1.0.0", sha: "0123456789abcdef" },
+    resolution: { releaseTag: "v1.0.0" },
+    commands: ["npm install", "vsce package --target linux-x64"],
+    toolchain: { node: "v20.0.0", python: "3.8" },
+};
+
+/**
+ * @returns {Promise<string>} the path of a package to write the provenance of
+ */
+const createPackage = async () => {
+    const extensionFile = path.join(await createTemporaryDirectory("fixture-provenance"), "fixture.provenance.vsix");
+    await fs.promises.writeFile(extensionFile, "package");
+    return extensionFile;
+};
+
+/**
+ * Records the calls of the GitHub API `publish-provenance.js` makes, for a repository without a `provenance` branch
+ * @param {{conflicts?: number, existing?: string}} [options] how often committing conflicts, and the path of a document on the branch already
+ */
+const stubGitHub = ({ conflicts = 0, existing } = {}) => {
+    /** @type {{[key: string]: any}[]} */
+    const commits = [];
+    /** @type {string[]} */
+    const refs = [];
+    const notFound = () => Object.assign(new Error("Not Found"), { status: 404 });
+    const github = {
+        rest: {
+            repos: {
+                getBranch: async () => {
+                    if (!refs.length) {
+                        throw notFound();
+                    }
+                },
+                getContent: async (/** @type {{path: string}} */ { path }) => {
+                    if (path !== existing) {
+                        throw notFound();
+                    }
+                    return { data: { sha: "existing" } };
+                },
+                createOrUpdateFileContents: async (/** @type {{[key: string]: any}} */ parameters) => {
+                    if (conflicts-- > 0) {
+                        throw Object.assign(new Error("Conflict"), { status: 409 });
+                    }
+                    commits.push(parameters);
+                },
+            },
+            git: {
+                createTree: async () => ({ data: { sha: "tree" } }),
+                createCommit: async () => ({ data: { sha: "commit" } }),
+                createRef: async (/** @type {{ref: string}} */ { ref }) => refs.push(ref),
+            },
+        },
+    };
+    return { github: /** @type {any} */ (github), commits, refs };
+};
+
+describe("provenance", () => {
+    after(removeFixtures);
+
+    it("is written next to the package with its hash", async () => {
+        const extensionFile = await createPackage();
+        const written = await writeProvenance(extensionFile, provenance);
+
+        assert.equal(getProvenanceFile(extensionFile), extensionFile.replace(/\.vsix$/, ".provenance.json"));
+        assert.equal(written.sha256, crypto.createHash("sha256").update("package").digest("hex"));
+        // As read back from JSON
+        assert.deepEqual(await readProvenance(extensionFile), JSON.parse(JSON.stringify(written)));
+    });
+
+    it("is not read for packages without one", async () => {
+        assert.equal(await readProvenance(await createPackage()), undefined);
+    });
+
+    it("is refused for another package", async () => {
+        const extensionFile = await createPackage();
+        await writeProvenance(extensionFile, provenance);
+        await fs.promises.writeFile(extensionFile, "another package");
+
+        await assert.rejects(readProvenance(extensionFile), /was written for a package with SHA-256/);
+    });
+
+    it("records where the package was published to", async () => {
+        const extensionFile = await createPackage();
+        const written = await writeProvenance(extensionFile, provenance);
+        await markPublished(extensionFile, written, "https://open-vsx.org");
+
+        const read = await readProvenance(extensionFile);
+        assert.equal(read?.published?.registryUrl, "https://open-vsx.org");
+        assert.ok(read?.published?.publishedAt);
+    });
+
+    it("is committed to the provenance branch once the package is published", async () => {
+        const published = await createPackage();
+        await markPublished(published, await writeProvenance(published, provenance), "https://open-vsx.org");
+        const unpublished = path.join(path.dirname(published), "fixture.provenance@linux-arm64.vsix");
+        await fs.promises.writeFile(unpublished, "package");
+        await writeProvenance(unpublished, { ...provenance, target: "linux-arm64" });
+        const { github, commits, refs } = stubGitHub({ conflicts: 1 });
+
+        const paths = await publishProvenance(github, { owner: "open-vsx", repo: "publish-extensions" }, [
+            getProvenanceFile(published),
+            getProvenanceFile(unpublished),
+        ]);
+        assert.deepEqual(paths, ["fixture.provenance/1.0.0/linux-x64.json"]);
+        assert.deepEqual(refs, ["refs/heads/provenance"]);
+        assert.equal(commits.length, 1);
+        assert.equal(commits[0].branch, "provenance");
+        assert.equal(commits[0].sha, undefined);
+        const document = JSON.parse(Buffer.from(commits[0].content, "base64").toString("utf-8"));
+        assert.equal(document.published.registryUrl, "https://open-vsx.org");
+    });
+
+    it("replaces the document of a package published again", async () => {
+        const extensionFile = await createPackage();
+        const written = await writeProvenance(extensionFile, provenance);
+        await markPublished(extensionFile, written, "https://open-vsx.org");
+        const { github, commits } = stubGitHub({ existing: getPublishedProvenancePath(written) });
+
+        await publishProvenance(github, { owner: "open-vsx", repo: "publish-extensions" }, [
+            getProvenanceFile(extensionFile),
+        ]);
+        assert.equal(commits[0].sha, "existing");
+    });
+});
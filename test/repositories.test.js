@@ -0,0 +1,104 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { checkoutForBuild, installOnce, removeRepository } = require("../lib/repositories");
+const { daysAgo, createFixtureRepository, removeFixtures } = require("./fixtures");
+
+describe("checkoutForBuild", () => {
+    /** @type {string[]} */
+    const repositories = [];
+    after(async () => {
+        for (const repository of repositories) {
+            await removeRepository(repository);
+        }
+        await removeFixtures();
+    });
+
+    it("shares the checkout of a ref, without what earlier builds left in it", async () => {
+        const { url, shas } = await createFixtureRepository("fixture.monorepo", [
+            { version: "1.0.0", date: daysAgo(1) },
+        ]);
+        repositories.push(url);
+
+        const directory = await checkoutForBuild(url, shas[0]);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(directory, "package.json"), "utf-8")).version, "1.0.0");
+        // An earlier build installed dependencies, changed the manifest and left packages behind
+        fs.mkdirSync(path.join(directory, "node_modules"));
+        fs.writeFileSync(path.join(directory, "package.json"), "{}");
+        fs.writeFileSync(path.join(directory, "extension.vsix"), "");
+        fs.mkdirSync(path.join(directory, "dist"));
+        fs.writeFileSync(path.join(directory, "dist", "other-linux-x64-1.0.0.vsix"), "");
+
+        assert.equal(await checkoutForBuild(url, shas[0]), directory);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(directory, "package.json"), "utf-8")).version, "1.0.0");
+        assert.ok(!fs.existsSync(path.join(directory, "extension.vsix")));
+        assert.ok(!fs.existsSync(path.join(directory, "dist", "other-linux-x64-1.0.0.vsix")));
+        assert.ok(fs.existsSync(path.join(directory, "node_modules")));
+    });
+
+    it("checks out other refs separately", async () => {
+        const { url, shas } = await createFixtureRepository("fixture.refs", [
+            { version: "1.0.0", date: daysAgo(2) },
+            { version: "1.1.0", date: daysAgo(1) },
+        ]);
+        repositories.push(url);
+
+        const [first, second] = await Promise.all(shas.map((sha) => checkoutForBuild(url, sha)));
+        assert.notEqual(first, second);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(first, "package.json"), "utf-8")).version, "1.0.0");
+        assert.equal(JSON.parse(fs.readFileSync(path.join(second, "package.json"), "utf-8")).version, "1.1.0");
+    });
+});
+
+describe("installOnce", () => {
+    it("installs once per directory and environment variables", async () => {
+        let installs = 0;
+        const install = async () => installs++;
+
+        assert.equal(await installOnce("/checkout", undefined, install), true);
+        assert.equal(await installOnce("/checkout", {}, install), false);
+        assert.equal(await installOnce("/checkout", { TARGET: "linux-x64" }, install), true);
+        assert.equal(await installOnce("/checkout", { TARGET: "linux-x64" }, install), false);
+        assert.equal(await installOnce("/other-checkout", undefined, install), true);
+        assert.equal(installs, 3);
+    });
+
+    it("installs again after a failed install", async () => {
+        let installs = 0;
+        const install = async () => {
+            if (installs++ === 0) {
+                throw new Error("network error");
+            }
+        };
+
+        await assert.rejects(installOnce("/failing-checkout", undefined, install), /network error/);
+        assert.equal(await installOnce("/failing-checkout", undefined, install), true);
+        assert.equal(installs, 2);
+    });
+
+    it("installs again once the repository is removed", async () => {
+        let installs = 0;
+        const install = async () => installs++;
+        const { url } = await createFixtureRepository("fixture.removed", [{ version: "1.0.0", date: daysAgo(1) }]);
+        const directory = await checkoutForBuild(url, "HEAD");
+
+        await installOnce(directory, undefined, install);
+        await removeRepository(url);
+        await installOnce(directory, undefined, install);
+        assert.equal(installs, 2);
+        await removeRepository(url);
+        await removeFixtures();
+    });
+});
@@ -0,0 +1,84 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Read when the cache is loaded
+process.env.RESOLUTION_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "fixture-resolution-cache-"));
+
+const { resolveExtension } = require("../lib/resolveExtension");
+const { cleanWorkspace, getWorkspace } = require("../lib/workspace");
+const {
+    daysAgo,
+    createFixtureRepository,
+    createFixtureVSIX,
+    removeFixtures,
+    serveFiles,
+    stubForgeProvider,
+} = require("./fixtures");
+
+const id = "fixture.resolution-cache";
+
+describe("resolution cache", () => {
+    after(async () => {
+        await cleanWorkspace(id);
+        await removeFixtures();
+        await fs.promises.rm(/** @type {string} */ (process.env.RESOLUTION_CACHE_DIR), {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    it("reuses the resolution without checking out the repository", async () => {
+        const { url, shas } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(1) }]);
+        const options = { forgeProvider: stubForgeProvider(), cache: true };
+
+        const resolved = await resolveExtension({ id, repository: url }, undefined, options);
+        assert.deepEqual(resolved?.resolution, { latest: shas[0] });
+        assert.equal(resolved?.path, getWorkspace(id).repository);
+        await cleanWorkspace(id);
+
+        const cached = await resolveExtension({ id, repository: url }, undefined, options);
+        assert.deepEqual(cached?.resolution, resolved?.resolution);
+        assert.equal(cached?.version, "1.0.0");
+        // Nothing was checked out to point the build to, it checks out the resolved ref itself
+        assert.equal(cached?.path, "");
+        assert.ok(!fs.existsSync(getWorkspace(id).repository));
+    });
+
+    it("is looked up before downloading the release assets", async () => {
+        const { url, shas } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(1) }]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolution-cache", version: "0.9.0" });
+        const server = await serveFiles([vsix]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v0.9.0",
+                assets: [{ name: "resolution-cache-0.9.0.vsix", url: server.urls[0] }],
+            });
+            const ms = { version: "1.0.0", lastUpdated: daysAgo(1) };
+
+            const resolved = await resolveExtension({ id, repository: url }, ms, { forgeProvider, cache: true });
+            assert.deepEqual(resolved?.resolution, { matchedLatest: shas[0] });
+            await cleanWorkspace(id);
+
+            const cached = await resolveExtension({ id, repository: url }, ms, { forgeProvider, cache: true });
+            assert.deepEqual(cached?.resolution, resolved?.resolution);
+            // The asset of another version was only downloaded to resolve the first time
+            assert.equal(server.requests.length, 1);
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,331 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { resolveExtension } = require("../lib/resolveExtension");
+const { cleanWorkspace } = require("../lib/workspace");
+const {
+    daysAgo,
+    createFixtureRepository,
+    createFixtureVSIX,
+    createFixtureArchive,
+    removeFixtures,
+    serveFiles,
+    stubForgeProvider,
+} = require("./fixtures");
+
+const id = "fixture.resolve-extension";
+const noRelease = stubForgeProvider();
+/** @type {() => Promise<string>} */
+const notOnMarketplace = async () => {
+    throw new Error("not on the MS marketplace");
+};
+
+describe("resolveExtension", () => {
+    afterEach(() => cleanWorkspace(id));
+    after(() => removeFixtures());
+
+    it("uses the release asset matching the MS marketplace version", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(3) }]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        const server = await serveFiles([vsix]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v1.0.0",
+                assets: [{ name: "resolve-extension-1.0.0.vsix", url: server.urls[0] }],
+            });
+            const resolved = await resolveExtension(
+                { id, repository: url },
+                { version: "1.0.0", lastUpdated: daysAgo(3) },
+                { forgeProvider, downloadFromMarketplace: notOnMarketplace },
+            );
+            assert.deepEqual(resolved?.resolution, { releaseAsset: "resolved" });
+            assert.equal(resolved?.version, "1.0.0");
+            assert.deepEqual(Object.keys(resolved?.files ?? {}), ["universal"]);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("looks for the MS marketplace version in earlier releases", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(3) }]);
+        const current = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        const next = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.1.0" });
+        const server = await serveFiles([current, next]);
+        try {
+            const forgeProvider = stubForgeProvider(
+                { tag: "v1.1.0", assets: [{ name: "resolve-extension-1.1.0.vsix", url: server.urls[1] }] },
+                { tag: "v1.0.0", assets: [{ name: "resolve-extension-1.0.0.vsix", url: server.urls[0] }] },
+            );
+            const resolved = await resolveExtension(
+                { id, repository: url },
+                { version: "1.0.0", lastUpdated: daysAgo(3) },
+                { forgeProvider, downloadFromMarketplace: notOnMarketplace },
+            );
+            assert.deepEqual(resolved?.resolution, { releaseAsset: "resolved" });
+            assert.equal(path.basename(resolved?.files?.universal ?? ""), "resolve-extension-1.0.0.vsix");
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("extracts the package from a .zip release asset", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(3) }]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        const archive = await createFixtureArchive("resolve-extension.zip", [vsix]);
+        const server = await serveFiles([archive]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v1.0.0",
+                assets: [{ name: "resolve-extension.zip", url: server.urls[0] }],
+            });
+            const resolved = await resolveExtension(
+                { id, repository: url },
+                { version: "1.0.0", lastUpdated: daysAgo(3) },
+                { forgeProvider, downloadFromMarketplace: notOnMarketplace },
+            );
+            assert.deepEqual(resolved?.resolution, { releaseAsset: "resolved" });
+            assert.equal(path.basename(resolved?.files?.universal ?? ""), "resolve-extension-1.0.0.vsix");
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("downloads the .zip assets only of releases without a .vsix asset", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(3) }]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        const archive = await createFixtureArchive("binaries.zip", [vsix]);
+        const server = await serveFiles([vsix, archive]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v1.0.0",
+                assets: [
+                    { name: "binaries.zip", url: server.urls[1] },
+                    { name: "resolve-extension-1.0.0.vsix", url: server.urls[0] },
+                ],
+            });
+            const resolved = await resolveExtension(
+                { id, repository: url },
+                { version: "1.0.0", lastUpdated: daysAgo(3) },
+                { forgeProvider, downloadFromMarketplace: notOnMarketplace },
+            );
+            assert.deepEqual(resolved?.resolution, { releaseAsset: "resolved" });
+            assert.deepEqual(server.requests, [`/${path.basename(vsix)}`]);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("verifies the release asset against the MS marketplace package", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.0.0", date: daysAgo(3) }]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        const other = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "1.0.0" });
+        await fs.promises.appendFile(other, "\n");
+        const server = await serveFiles([vsix]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v1.0.0",
+                assets: [{ name: "resolve-extension-1.0.0.vsix", url: server.urls[0] }],
+            });
+            const ms = { version: "1.0.0", lastUpdated: daysAgo(3) };
+            const identical = await resolveExtension({ id, repository: url }, ms, {
+                forgeProvider,
+                downloadFromMarketplace: async () => vsix,
+            });
+            assert.deepEqual(identical?.resolution, { releaseAsset: "verified" });
+            const different = await resolveExtension({ id, repository: url }, ms, {
+                forgeProvider,
+                downloadFromMarketplace: async () => other,
+            });
+            assert.deepEqual(different?.resolution, { releaseAsset: "resolved" });
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("falls back to the release tag if the release asset has another version", async () => {
+        const { url } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(10), tag: "v1.0.0" },
+            { version: "1.1.0", date: daysAgo(1) },
+        ]);
+        const vsix = await createFixtureVSIX({ publisher: "fixture", name: "resolve-extension", version: "0.9.0" });
+        const server = await serveFiles([vsix]);
+        try {
+            const forgeProvider = stubForgeProvider({
+                tag: "v1.0.0",
+                assets: [{ name: "resolve-extension-0.9.0.vsix", url: server.urls[0] }],
+            });
+            const resolved = await resolveExtension(
+                { id, repository: url },
+                { version: "1.0.0", lastUpdated: daysAgo(10) },
+                { forgeProvider, downloadFromMarketplace: notOnMarketplace },
+            );
+            assert.deepEqual(resolved?.resolution, { releaseTag: "v1.0.0" });
+            assert.equal(resolved?.version, "1.0.0");
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("uses one of the last 3 tags matching the MS marketplace version", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(20), tag: "v1.0.0" },
+            { version: "1.1.0", date: daysAgo(15), tag: "v1.1.0" },
+            { version: "1.2.0", date: daysAgo(10), tag: "v1.2.0" },
+            { version: "1.3.0", date: daysAgo(5), tag: "v1.3.0" },
+            { version: "1.4.0-next", date: daysAgo(1) },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.1.0", lastUpdated: daysAgo(15) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { tag: shas[1] });
+        assert.equal(resolved?.version, "1.1.0");
+    });
+
+    it("ignores tags older than the last 3", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(20), tag: "v1.0.0" },
+            { version: "1.1.0", date: daysAgo(15), tag: "v1.1.0" },
+            { version: "1.2.0", date: daysAgo(10), tag: "v1.2.0" },
+            { version: "1.3.0", date: daysAgo(5), tag: "v1.3.0" },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.0.0", lastUpdated: daysAgo(20) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { matched: shas[0] });
+    });
+
+    it("resolves the weird versions of the MS marketplace which contain the version of the tag", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.71.8", date: daysAgo(5), tag: "v1.71.8" },
+            { version: "1.72.0-dev", date: daysAgo(1) },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.71.8240911", lastUpdated: daysAgo(5) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { tag: shas[0] });
+        assert.equal(resolved?.version, "1.71.8240911");
+    });
+
+    it("uses the latest tag if the extension is not published to the MS marketplace", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(5), tag: "v1.0.0" },
+            { version: "1.1.0", date: daysAgo(1) },
+        ]);
+        const resolved = await resolveExtension({ id, repository: url }, undefined, { forgeProvider: noRelease });
+        assert.deepEqual(resolved?.resolution, { tag: shas[0] });
+        assert.equal(resolved?.version, "1.0.0");
+    });
+
+    it("uses the very latest commit if the extension is not published to the MS marketplace and has no tags", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(5) },
+            { version: "1.1.0", date: daysAgo(1) },
+        ]);
+        const resolved = await resolveExtension({ id, repository: url }, undefined, { forgeProvider: noRelease });
+        assert.deepEqual(resolved?.resolution, { latest: shas[1] });
+        assert.equal(resolved?.version, "1.1.0");
+    });
+
+    it("uses the very latest commit of repositories not updated for more than 2 months", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(200) },
+            { version: "1.1.0", date: daysAgo(100) },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.2.0", lastUpdated: daysAgo(30) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { latest: shas[1] });
+        assert.equal(resolved?.version, "1.1.0");
+    });
+
+    it("uses the very latest commit if it is the one on the last update date", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(10) },
+            { version: "1.1.0-dev", date: daysAgo(2) },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.1.0", lastUpdated: daysAgo(2) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { matchedLatest: shas[1] });
+        assert.equal(resolved?.version, "1.1.0-dev");
+    });
+
+    it("uses the commit on the last update date with the MS marketplace version", async () => {
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "1.0.0", date: daysAgo(20) },
+            { version: "1.1.0", date: daysAgo(10) },
+            { version: "1.2.0-dev", date: daysAgo(1) },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.1.0", lastUpdated: daysAgo(10) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { matched: shas[1] });
+        assert.equal(resolved?.version, "1.1.0");
+    });
+
+    it("looks for the MS marketplace version within 30 commits before the last update date", async () => {
+        const commits = [{ version: "1.0.0", date: daysAgo(40) }];
+        for (let i = 0; i < 30; i++) {
+            commits.push({ version: "1.1.0-dev", date: daysAgo(39 - i) });
+        }
+        commits.push({ version: "1.2.0-dev", date: daysAgo(1) });
+        const { url, shas } = await createFixtureRepository(id, commits);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.0.0", lastUpdated: daysAgo(5) },
+            { forgeProvider: noRelease },
+        );
+        // The commit with the MS marketplace version is the 31st, so the latest one before the last update date is used
+        assert.deepEqual(resolved?.resolution, { matchedLatest: shas[30] });
+        assert.equal(resolved?.version, "1.1.0-dev");
+    });
+
+    it("does not resolve anything if the repository has no commit before the last update date", async () => {
+        const { url } = await createFixtureRepository(id, [{ version: "1.1.0", date: daysAgo(1) }]);
+        const resolved = await resolveExtension(
+            { id, repository: url },
+            { version: "1.0.0", lastUpdated: daysAgo(10) },
+            { forgeProvider: noRelease },
+        );
+        assert.equal(resolved, undefined);
+    });
+
+    it("resolves extensions with an `msMarketplaceIdOverride` by their Open VSX ID", async () => {
+        // Only the MS marketplace version is looked up with the override, the package.json has to contain the Open VSX ID
+        const { url, shas } = await createFixtureRepository(id, [
+            { version: "2.0.0", date: daysAgo(5), tag: "v2.0.0" },
+            { version: "2.0.0", date: daysAgo(4), tag: "ms-v2.0.0", publisher: "fixture-ms" },
+        ]);
+        const resolved = await resolveExtension(
+            { id, repository: url, msMarketplaceIdOverride: "fixture-ms.resolve-extension" },
+            { version: "2.0.0", lastUpdated: daysAgo(4) },
+            { forgeProvider: noRelease },
+        );
+        assert.deepEqual(resolved?.resolution, { tag: shas[0] });
+        assert.equal(resolved?.version, "2.0.0");
+    });
+});
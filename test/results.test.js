@@ -0,0 +1,208 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { writeResult, readResults, aggregateResults } = require("../lib/results");
+const { createTemporaryDirectory, removeFixtures } = require("./fixtures");
+
+/**
+ * @returns {import('../types').PublishStat}
+ */
+const createStat = () => ({
+    upToDate: {},
+    outdated: {},
+    unstable: {},
+    notInOpen: {},
+    notInMS: [],
+    failed: [],
+    timedOut: [],
+    failures: {},
+    deferred: {},
+    unresolvableDependencies: {},
+    dependencyCycles: [],
+    blocked: {},
+    msPublished: {},
+    hitMiss: {},
+    resolutions: {},
+    vsixDiffs: {},
+    licenses: {},
+    preRelease: {
+        upToDate: {},
+        outdated: {},
+        unstable: {},
+        notInOpen: {},
+        resolutions: {},
+        failed: [],
+        failures: {},
+    },
+});
+
+const failure = { reason: /** @type {const} */ ("install"), message: "npm install failed", log: "/tmp/logs/a.log" };
+
+/**
+ * @param {string} id
+ * @param {Partial<import('../types').ResultRecord>} [result]
+ * @returns {import('../types').ResultRecord}
+ */
+const built = (id, result) => ({
+    id,
+    stage: "build",
+    preRelease: false,
+    outcome: "success",
+    date: "2025-06-02T03:10:00.000Z",
+    version: "1.1.0",
+    msVersion: "1.1.0",
+    msLastUpdated: "2025-06-01T03:10:00.000Z",
+    ...result,
+});
+
+/**
+ * @param {string} id
+ * @param {Partial<import('../types').ResultRecord>} [result]
+ * @returns {import('../types').ResultRecord}
+ */
+const published = (id, result) => ({
+    id,
+    stage: "publish",
+    preRelease: false,
+    outcome: "success",
+    date: "2025-06-02T03:20:00.000Z",
+    ...result,
+});
+
+describe("readResults", () => {
+    after(() => removeFixtures());
+
+    it("reads the results written, also from the artifacts of several runs", async () => {
+        const directory = await createTemporaryDirectory("fixture-results");
+        await writeResult(
+            { id: "a.a", stage: "build", preRelease: false, outcome: "success", version: "1.0.0" },
+            path.join(directory, "result-build"),
+        );
+        await writeResult(
+            { id: "a.a", stage: "publish", preRelease: true, outcome: "failure", failure },
+            path.join(directory, "run-2", "result-publish"),
+        );
+        await fs.promises.writeFile(path.join(directory, "stat.json"), JSON.stringify(createStat()));
+        await fs.promises.writeFile(path.join(directory, "truncated.build.json"), '{"id": "a.a"');
+
+        const results = await readResults(directory);
+        assert.deepEqual(
+            results.map(({ id, stage, preRelease, outcome }) => ({ id, stage, preRelease, outcome })),
+            [
+                { id: "a.a", stage: "build", preRelease: false, outcome: "success" },
+                { id: "a.a", stage: "publish", preRelease: true, outcome: "failure" },
+            ],
+        );
+        assert.deepEqual(results[1].failure, failure);
+        assert.ok(fs.existsSync(path.join(directory, "run-2", "result-publish", "a.a.pre-release.publish.json")));
+    });
+});
+
+describe("aggregateResults", () => {
+    it("moves the extensions published with the MS marketplace version to up-to-date", () => {
+        const stat = createStat();
+        stat.outdated["a.a"] = { msInstalls: 10, msVersion: "1.1.0", openVersion: "1.0.0", daysInBetween: -30 };
+        stat.hitMiss["a.a"] = stat.outdated["a.a"];
+        stat.notInOpen["b.b"] = { msInstalls: 5, msVersion: "1.1.0" };
+        const snapshot = structuredClone(stat);
+
+        const merged = aggregateResults(stat, [built("a.a"), published("a.a"), built("b.b"), published("b.b")]);
+        const expected = {
+            msInstalls: 10,
+            msVersion: "1.1.0",
+            openVersion: "1.1.0",
+            daysInBetween: 1 + 10 / (60 * 24),
+        };
+        assert.deepEqual(merged.upToDate["a.a"], expected);
+        assert.deepEqual(merged.hitMiss["a.a"], expected);
+        assert.equal(merged.upToDate["b.b"].msInstalls, 5);
+        assert.deepEqual(merged.outdated, {});
+        assert.deepEqual(merged.notInOpen, {});
+        assert.deepEqual(stat, snapshot);
+    });
+
+    it("records the failures of either stage", () => {
+        const stat = createStat();
+        stat.outdated["a.a"] = { msInstalls: 10, msVersion: "1.1.0", openVersion: "1.0.0", daysInBetween: -30 };
+
+        const merged = aggregateResults(stat, [
+            built("a.a", { outcome: "failure", failure }),
+            // The packages of the other targets were published
+            published("a.a"),
+            built("b.b"),
+            published("b.b", { outcome: "failure", failure: { ...failure, reason: "publish" } }),
+            built("c.c", { outcome: "failure", failure: { ...failure, reason: "timeout" } }),
+            built("d.d", { preRelease: true, version: "1.3.0", msVersion: "1.3.0" }),
+            published("d.d", { preRelease: true, outcome: "failure", failure }),
+        ]);
+        assert.deepEqual(merged.failed, ["a.a", "b.b"]);
+        assert.deepEqual(merged.timedOut, ["c.c"]);
+        assert.deepEqual(Object.keys(merged.failures), ["a.a", "b.b", "c.c"]);
+        assert.equal(merged.failures["b.b"].reason, "publish");
+        assert.deepEqual(merged.preRelease.failed, ["d.d"]);
+        assert.deepEqual(merged.upToDate, {});
+        assert.ok(merged.outdated["a.a"]);
+    });
+
+    it("records the extensions blocked once they were dispatched as blocked", () => {
+        const verdict = { reason: /** @type {const} */ ("malicious"), blocked: true };
+        const merged = aggregateResults(createStat(), [
+            built("a.a"),
+            published("a.a", { outcome: "failure", failure: { ...failure, reason: "blocked", verdict } }),
+            built("b.b", { outcome: "failure", failure: { ...failure, reason: "blocked", verdict } }),
+        ]);
+        assert.deepEqual(merged.blocked, { "a.a": verdict, "b.b": verdict });
+        assert.deepEqual(merged.failed, []);
+        assert.deepEqual(merged.failures, {});
+    });
+
+    it("keeps the latest results of an extension", () => {
+        const stat = createStat();
+        stat.outdated["a.a"] = { msInstalls: 10, msVersion: "1.1.0", openVersion: "1.0.0", daysInBetween: -30 };
+        const licenses = { universal: { category: /** @type {const} */ ("osi"), spdx: "MIT" } };
+
+        const failed = aggregateResults(stat, [
+            built("a.a", { outcome: "failure", failure, date: "2025-06-02T03:10:00.000Z" }),
+        ]);
+        const rerun = [
+            built("a.a", { outcome: "failure", failure, date: "2025-06-02T03:10:00.000Z" }),
+            built("a.a", { date: "2025-06-02T05:10:00.000Z", licenses }),
+            published("a.a", { date: "2025-06-02T05:20:00.000Z" }),
+        ];
+        // Merging the results into a stat they were merged into before gives the same
+        for (const merged of [aggregateResults(stat, rerun), aggregateResults(failed, rerun)]) {
+            assert.deepEqual(merged.failed, []);
+            assert.deepEqual(merged.failures, {});
+            assert.equal(merged.upToDate["a.a"].openVersion, "1.1.0");
+            assert.deepEqual(merged.licenses["a.a"], licenses);
+        }
+    });
+
+    it("leaves the versions other than the one of the MS marketplace to the next run", () => {
+        const stat = createStat();
+        stat.notInMS.push("a.a");
+        stat.outdated["b.b"] = { msInstalls: 10, msVersion: "1.71.8240911", openVersion: "1.70.1", daysInBetween: -9 };
+
+        const merged = aggregateResults(stat, [
+            built("a.a", { version: "0.2.0", msVersion: undefined }),
+            published("a.a"),
+            built("b.b", { version: "1.71.8", msVersion: "1.71.8240911" }),
+            published("b.b"),
+            // Only built, with SKIP_PUBLISH
+            built("c.c"),
+        ]);
+        assert.deepEqual(merged, stat);
+    });
+});
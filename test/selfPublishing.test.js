@@ -0,0 +1,121 @@
+/********************************************************************************
+ * Copyright (c) 2025 TypeFox and others
+ *
+ * This program and the accompanying materials are made available under the
+ * terms of the Eclipse Public License v. 2.0 which is available at
+ * http://www.eclipse.org/legal/epl-2.0.
+ *
+ * SPDX-License-Identifier: EPL-2.0
+ ********************************************************************************/
+
+// @ts-check
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { registryUrl } = require("../lib/constants");
+const { checkSelfPublishing, formatSelfPublishing } = require("../lib/selfPublishing");
+
+/**
+ * An Open VSX API answering with `documents`, by their path
+ * @param {{[path: string]: any}} documents
+ * @returns {(url: string) => Promise<any>}
+ */
+const stubOpenVsx = (documents) => async (url) => documents[url.slice(registryUrl.length)];
+
+/**
+ * @param {{[version: string]: string}} publishers the account of every version, the latest first
+ * @param {boolean} verified whether the namespace is verified
+ */
+const createOpenVsx = (publishers, verified) => {
+    const [latest] = Object.keys(publishers);
+    /** @type {{[path: string]: any}} */
+    const documents = {
+        "/api/pub": { name: "pub", verified },
+        "/api/pub/ext": {
+            version: latest,
+            timestamp: "2025-03-04T10:00:00Z",
+            publishedBy: { loginName: publishers[latest] },
+            allVersions: Object.fromEntries(
+                ["latest", ...Object.keys(publishers)].map((version) => [
+                    version,
+                    `${registryUrl}/api/pub/ext/${version}`,
+                ]),
+            ),
+        },
+    };
+    for (const [version, loginName] of Object.entries(publishers)) {
+        documents[`/api/pub/ext/${version}`] ??= { version, publishedBy: { loginName } };
+    }
+    return stubOpenVsx(documents);
+};
+
+describe("checkSelfPublishing", () => {
+    it("proposes removing extensions published by their authors into a verified namespace", async () => {
+        const evidence = await checkSelfPublishing("pub.ext", {
+            fetchJson: createOpenVsx({ "1.10.0": "author", "1.9.0": "open-vsx" }, true),
+        });
+        assert.deepEqual(evidence, {
+            id: "pub.ext",
+            namespaceVerified: true,
+            versions: [
+                { version: "1.10.0", publishedBy: "author", timestamp: "2025-03-04T10:00:00Z" },
+                { version: "1.9.0", publishedBy: "open-vsx", timestamp: undefined },
+            ],
+            removable: true,
+        });
+    });
+
+    it("only reports the extensions of unverified namespaces", async () => {
+        const evidence = await checkSelfPublishing("pub.ext", {
+            fetchJson: createOpenVsx({ "2.0.0": "author" }, false),
+        });
+        assert.equal(evidence?.removable, false);
+    });
+
+    it("only reports the extensions published by others earlier", async () => {
+        const evidence = await checkSelfPublishing("pub.ext", {
+            fetchJson: createOpenVsx({ "2.0.0": "open-vsx", "1.0.0": "author" }, true),
+        });
+        assert.equal(evidence?.removable, false);
+    });
+
+    it("ignores the extensions only published by this repository", async () => {
+        const fetchJson = createOpenVsx({ "2.0.0": "open-vsx", "1.0.0": "Open-VSX" }, true);
+        assert.equal(await checkSelfPublishing("pub.ext", { fetchJson }), undefined);
+        assert.equal(await checkSelfPublishing("pub.missing", { fetchJson }), undefined);
+    });
+
+    it("only looks up the latest versions", async () => {
+        const evidence = await checkSelfPublishing("pub.ext", {
+            fetchJson: createOpenVsx({ "3.0.0": "author", "2.0.0": "author", "1.0.0": "author" }, true),
+            versionsToCheck: 2,
+        });
+        assert.deepEqual(
+            evidence?.versions.map(({ version }) => version),
+            ["3.0.0", "2.0.0"],
+        );
+    });
+});
+
+describe("formatSelfPublishing", () => {
+    it("lists the removable extensions apart from the ones to review", () => {
+        const report = formatSelfPublishing([
+            {
+                id: "a.a",
+                namespaceVerified: true,
+                versions: [{ version: "1.0.0", publishedBy: "author" }],
+                removable: true,
+            },
+            {
+                id: "b.b",
+                namespaceVerified: false,
+                versions: [{ version: "2.0.0", publishedBy: "other" }],
+                removable: false,
+            },
+        ]);
+        assert.match(
+            report,
+            /## Can be removed from extensions.json\n\n- \[a\.a\]\(.*\/extension\/a\/a\): namespace verified, 1\.0\.0 published by author\n/,
+        );
+        assert.match(report, /## To review\n\n- \[b\.b\]\(.*\): namespace not verified, 2\.0\.0 published by other\n/);
+    });
+});
@@ -20,6 +20,59 @@ export interface ExtensionStat extends MSExtensionStat {
     openVersion: string;
 }
 
+/**
+ * A run in the history of the stats, see lib/history.js
+ */
+export interface HistoryRecord {
+    /**
+     * When the run finished, as an ISO date
+     */
+    date: string;
+    total: number;
+    upToDate: number;
+    /**
+     * The share of the MS marketplace installs of the extensions which are up-to-date on Open VSX
+     */
+    weightedParity: number;
+    /**
+     * Extensions which failed or timed out
+     */
+    broken: string[];
+    upToDateIds: string[];
+    /**
+     * Versions the MS marketplace published within the last month which are on Open VSX, with the days it took
+     */
+    mirrored: {
+        [id: string]: { msVersion: string; daysInBetween: number };
+    };
+}
+
+/**
+ * An entry of `deprecated` in extension-control/extensions.json
+ */
+export type ExtensionDeprecation =
+    | boolean
+    | {
+          disallowInstall?: boolean;
+          extension?: {
+              id: string;
+              displayName: string;
+          };
+          settings?: string[];
+          additionalInfo?: string;
+      };
+export interface ExtensionControlVerdict {
+    reason: "malicious" | "deprecated";
+    /**
+     * Whether the extension must not be resolved, built nor published
+     */
+    blocked: boolean;
+    /**
+     * The extension to use instead of a deprecated one
+     */
+    replacement?: string;
+}
+
 export interface PublishStat {
     upToDate: {
         [id: string]: ExtensionStat;
@@ -39,6 +92,39 @@ export interface PublishStat {
         [id: string]: Partial<MSExtensionStat> & ExtensionResolution;
     };
     failed: string[];
+    /**
+     * Extensions whose build did not finish within their `timeout`
+     */
+    timedOut: string[];
+    /**
+     * Why the extensions in `failed` and `timedOut` could not be published
+     */
+    failures: {
+        [id: string]: Failure;
+    };
+    /**
+     * Extensions not published since extensions of the same run they depend on could not be published, by those
+     */
+    deferred: {
+        [id: string]: string[];
+    };
+    /**
+     * Dependencies which are neither built into VS Code, nor on Open VSX, nor published in the same run, by extension
+     */
+    unresolvableDependencies: {
+        [id: string]: string[];
+    };
+    /**
+     * Extensions of the run depending on each other, which cannot be published in order
+     */
+    dependencyCycles: string[][];
+    /**
+     * Extensions not processed at all since extension-control/extensions.json lists them as malicious,
+     * or as deprecated without allowing to install them
+     */
+    blocked: {
+        [id: string]: ExtensionControlVerdict;
+    };
 
     msPublished: {
         [id: string]: MSExtensionStat;
@@ -46,6 +132,201 @@ export interface PublishStat {
     hitMiss: {
         [id: string]: ExtensionStat | ExtensionStat;
     };
+
+    preRelease: PreReleaseStat;
+
+    /**
+     * Differences of the packages built from sources to the ones on the MS marketplace, by target platform
+     */
+    vsixDiffs: {
+        [id: string]: { [target: string]: VSIXDiff };
+    };
+    /**
+     * The licenses of the packages built, by target platform
+     */
+    licenses: {
+        [id: string]: { [target: string]: LicenseClassification };
+    };
+}
+
+/**
+ * - `osi`: an OSI-approved license
+ * - `nonOsi`: a license which is not OSI-approved, like the Creative Commons ones
+ * - `proprietary`: `UNLICENSED` or a license file which does not allow redistributing the extension
+ * - `unknown`: neither an SPDX expression nor a license file that could be recognized
+ * - `missing`: no license at all
+ */
+export type LicenseCategory = "osi" | "nonOsi" | "proprietary" | "unknown" | "missing";
+
+export interface LicenseClassification {
+    category: LicenseCategory;
+    /**
+     * The SPDX expression the license was mapped to
+     */
+    spdx?: string;
+    /**
+     * The `license` of package.json, as is
+     */
+    manifestLicense?: string;
+    licenseFile?: string;
+    /**
+     * Whether it is on the `allowedLicenses` of the extension
+     */
+    allowed?: boolean;
+}
+
+export interface VSIXDiff {
+    msVersion: string;
+    files: number;
+    msFiles: number;
+    /**
+     * Number of files in the MS marketplace package which are missing in ours
+     */
+    missing: number;
+    /**
+     * Number of files in our package which are not in the MS marketplace one
+     */
+    extra: number;
+    missingSample: string[];
+    extraSample: string[];
+    /**
+     * `main` or `browser`, if they point to a different file
+     */
+    entryPoints: string[];
+    /**
+     * Keys of `contributes` which differ
+     */
+    contributionPoints: string[];
+    /**
+     * Missing and extra files relative to the number of files in the MS marketplace package
+     */
+    score: number;
+    suspicious: boolean;
+}
+
+export interface PreReleaseStat {
+    upToDate: {
+        [id: string]: ExtensionStat;
+    };
+    unstable: {
+        [id: string]: ExtensionStat;
+    };
+    outdated: {
+        [id: string]: ExtensionStat;
+    };
+    notInOpen: {
+        [id: string]: MSExtensionStat;
+    };
+    resolutions: {
+        [id: string]: Partial<MSExtensionStat> & ExtensionResolution;
+    };
+    failed: string[];
+    failures: {
+        [id: string]: Failure;
+    };
+}
+
+export type FailureReason =
+    | "resolve"
+    | "install"
+    | "prepublish"
+    | "package"
+    | "license"
+    | "dependency"
+    | "publish"
+    | "blocked"
+    | "timeout"
+    | "other";
+
+export interface Failure {
+    reason: FailureReason;
+    /**
+     * First line of the error message
+     */
+    message: string;
+    /**
+     * Path of the log with the output of all commands run for the extension
+     */
+    log: string;
+    /**
+     * The artifact of the GitHub Actions run the log was uploaded as, with the log at `<id>.log`, see `LOG_ARTIFACT`
+     */
+    logArtifact?: { run: string; name: string };
+    /**
+     * Why extension-control blocks the extension, for `blocked` failures. They are recorded in `blocked` of the stat.
+     */
+    verdict?: ExtensionControlVerdict;
+    /**
+     * The license of the package, for `license` failures: it is missing, proprietary, or not OSI-approved with `LICENSE_STRICT`
+     */
+    license?: LicenseClassification;
+}
+
+export type PlanAction = "skip-up-to-date" | "skip-unstable" | "build" | "publish-from-release" | "unresolved";
+
+/**
+ * What a run would do with an extension, see plan-extensions.js
+ */
+export interface PlanEntry {
+    id: string;
+    channel: "stable" | "pre-release";
+    action: PlanAction;
+    reason: string;
+    /**
+     * The version expected to be published
+     */
+    version?: string;
+    msVersion?: string;
+    ovsxVersion?: string;
+    /**
+     * Only set when resolving, i.e. with `PLAN_RESOLVE=true`
+     */
+    ref?: string;
+    resolution?: ExtensionResolution;
+}
+
+/**
+ * Versions on Open VSX published by others than this repository, see reconcile-extensions.js
+ */
+export interface SelfPublishingEvidence {
+    id: string;
+    /**
+     * Whether the namespace on Open VSX is owned by a verified publisher
+     */
+    namespaceVerified: boolean;
+    /**
+     * The latest versions on Open VSX and the accounts which published them, the latest first
+     */
+    versions: {
+        version: string;
+        publishedBy: string;
+        timestamp?: string;
+    }[];
+    /**
+     * Whether the entry can be removed from extensions.json: the latest version was published by someone else into a verified namespace
+     */
+    removable: boolean;
+}
+
+export type AuditFindingKind =
+    | "repositoryMissing"
+    | "repositoryMoved"
+    | "repositoryArchived"
+    | "notOnMarketplace"
+    | "locationMissing"
+    | "extensionFileMissing";
+
+/**
+ * Something stale or broken about an entry of extensions.json, see audit-extensions.js
+ */
+export interface AuditFinding {
+    id: string;
+    kind: AuditFindingKind;
+    message: string;
+    /**
+     * The properties of the entry to change, `null` to remove them. Only set if the fix can be applied without review.
+     */
+    fix?: { [property: string]: string | null };
 }
 
 export interface Extensions {
@@ -97,9 +378,84 @@ export interface Extension {
     };
     msMarketplaceIdOverride?: string;
     pythonVersion?: string;
+    preRelease?: boolean;
+    forge?: "github" | "gitlab" | "gitea" | "bitbucket";
+    allowedLicenses?: string[];
+}
+
+export interface ForgeReleaseAsset {
+    name: string;
+    url: string;
+}
+
+export interface ForgeRelease {
+    /**
+     * The git tag of the release, if the forge has tagged releases
+     */
+    tag?: string;
+    assets: ForgeReleaseAsset[];
+}
+
+/**
+ * Looks up release assets on a code hosting service, see lib/forges
+ */
+export interface ForgeRepository {
+    /**
+     * Where the repository is now, after following renames and transfers
+     */
+    url: string;
+    archived: boolean;
+}
+export interface ForgeProvider {
+    name: string;
+    /**
+     * The most recent releases, the latest first. Pre-releases only if `preRelease` is set.
+     */
+    getReleases(repositoryUrl: URL, options: { preRelease?: boolean; limit: number }): Promise<ForgeRelease[]>;
+    /**
+     * `undefined` if the repository does not exist, or is not public
+     */
+    getRepository(repositoryUrl: URL): Promise<ForgeRepository | undefined>;
+}
+
+/**
+ * The package managers the dependencies of extensions are installed with, see lib/packageManagers.js
+ */
+export type PackageManager = "npm" | "yarn" | "pnpm" | "bun";
+
+/**
+ * What building an extension needs, as detected in its repository when it is added, see lib/detectConfiguration.js
+ */
+export interface DetectedConfiguration {
+    /**
+     * The directory of the extension's package.json, `undefined` for the root of the repository
+     */
+    location?: string;
+    packageManager: PackageManager;
+    /**
+     * The Node version of `.nvmrc`, which the build installs by itself
+     */
+    node?: string;
+    /**
+     * Whether there are Python requirements
+     */
+    python: boolean;
+    pythonVersion?: string;
+    /**
+     * Dependencies which imply building for each platform, and `binding.gyp` if the extension has one itself
+     */
+    nativeModules: string[];
+    hasPrepublish: boolean;
+    /**
+     * The script building the extension, if it has no `vscode:prepublish` doing so
+     */
+    buildScript?: string;
 }
 
 export interface ExtensionResolution {
+    /**
+     * `verified` if the release assets are identical to the MS marketplace packages, `resolved` otherwise
+     */
     releaseAsset?: string;
     releaseTag?: string;
     tag?: string;
@@ -108,13 +464,82 @@ export interface ExtensionResolution {
     matched?: string;
 }
 
+/**
+ * Everything a resolution from the repository depends on
+ */
+export interface ResolutionCacheKey {
+    repository: string;
+    location?: string;
+    head: string;
+    msVersion?: string;
+    releaseTag?: string;
+    preRelease?: boolean;
+}
+
+export interface ResolutionCacheEntry extends ResolutionCacheKey {
+    version: string;
+    resolution: ExtensionResolution;
+}
+
 export interface ResolvedExtension {
     version: string;
+    /**
+     * The checkout the version was resolved in, empty if nothing was checked out, like for release assets and cached resolutions
+     */
     path: string;
     files?: { [key: string]: string };
     resolution: ExtensionResolution;
 }
 
+/**
+ * The persisted progress of a run, see lib/checkpoint.js
+ */
+export interface Checkpoint {
+    /**
+     * The stat of the interrupted run when resuming it
+     */
+    stat?: PublishStat;
+    /**
+     * The extensions of the interrupted run which do not have to be processed again.
+     * Extensions dispatched to a workflow run of their own are completed once dispatched, see `RESUME` in DEVELOPMENT.md.
+     */
+    completed: Set<string>;
+    /**
+     * Persists the stat and that the extension has been processed, warning if that fails
+     */
+    record(id: string, completed: boolean, stat: PublishStat): Promise<void>;
+}
+
+/**
+ * What a build or a publish of a dispatched extension came to, see lib/results.js
+ */
+export interface ResultRecord {
+    id: string;
+    stage: "build" | "publish";
+    preRelease: boolean;
+    outcome: "success" | "failure";
+    /**
+     * When the stage finished, as an ISO string
+     */
+    date: string;
+    /**
+     * The version built, and the one of the MS marketplace it was resolved for. Only recorded by builds.
+     */
+    version?: string;
+    msVersion?: string;
+    msLastUpdated?: string;
+    extensionFiles?: string[];
+    failure?: Failure;
+    vsixDiffs?: { [target: string]: VSIXDiff };
+    licenses?: { [target: string]: LicenseClassification };
+}
+
+export interface Workspace {
+    root: string;
+    repository: string;
+    download: string;
+}
+
 export interface PublishContext {
     msVersion?: string;
     msLastUpdated?: Date;
@@ -124,14 +549,80 @@ export interface PublishContext {
     ovsxVersion?: string;
     ovsxLastUpdated?: Date;
 
+    msPreReleaseVersion?: string;
+    msPreReleaseLastUpdated?: Date;
+    ovsxPreReleaseVersion?: string;
+    ovsxPreReleaseLastUpdated?: Date;
+    /**
+     * Whether this context builds and publishes the pre-release channel of the extension.
+     */
+    preRelease?: boolean;
+
     version?: string;
     files?: { [key: string]: string };
     target: string;
     file?: string;
     repo?: string;
     ref?: string;
+    /**
+     * How the version to publish was resolved, recorded in the provenance documents
+     */
+    resolution?: ExtensionResolution;
+    /**
+     * The extensions published earlier in the same run, which the build does not look up on Open VSX as dependencies.
+     * Only set when they are published inline, see `dispatch` of publish-extensions.js.
+     */
+    publishedInRun?: string[];
 
     environmentVariables?: { [key: string]: string };
+
+    vsixDiffs?: { [target: string]: VSIXDiff };
+    licenses?: { [target: string]: LicenseClassification };
+    /**
+     * Set by the build if it failed, since the other targets are still built
+     */
+    failure?: Failure;
+}
+
+/**
+ * Where a package comes from, written next to it to `/tmp/artifacts/<id>[@<target>].provenance.json`
+ */
+export interface Provenance {
+    id: string;
+    version: string;
+    target: string;
+    preRelease: boolean;
+    source: {
+        repository?: string;
+        location?: string;
+        /**
+         * The resolved ref and the commit it points to, unless the package is a release asset
+         */
+        ref?: string;
+        sha?: string;
+    };
+    resolution?: ExtensionResolution;
+    /**
+     * The commands run to build the package, in the order they ran in
+     */
+    commands: string[];
+    toolchain: {
+        node: string;
+        python: string;
+    };
+    sha256: string;
+    builtAt: string;
+    /**
+     * The GitHub Actions run which built the package
+     */
+    buildRun?: string;
+    /**
+     * Set once the package is published
+     */
+    published?: {
+        registryUrl: string;
+        publishedAt: string;
+    };
 }
 
 interface IRawGalleryExtensionProperty {